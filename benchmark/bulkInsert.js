@@ -0,0 +1,118 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Benchmark of bulk insertion into fresh trees.
+ *
+ * Raw data entries (some of them spanning multiple leaf nodes) and summary
+ *    entries are inserted into fresh trees at growing sizes (10,000 entries
+ *    and ten times more each step). Time per entry should stay roughly the
+ *    same as the size grows if insertion is linear, the benchmark fails
+ *    (exits with a non-zero code) if time per entry at the largest size is
+ *    more than `MAX_COST_GROWTH` times that at the smallest size.
+ *
+ * Usage: `npm run benchmark [-- <maximum number of entries>]`, the maximum
+ *    number of entries defaults to 1,000,000.
+ */
+
+const ChromRegion = require('@givengine/chrom-region')
+const PineTreeNS = require('..')
+
+const ENTRY_SPACING = 10
+const MIN_COUNT = 10000
+const MAX_COST_GROWTH = 2
+
+function createRawEntries (count) {
+  let entries = []
+  for (let i = 0; i < count; i++) {
+    let start = i * ENTRY_SPACING
+    // every 100th entry spans several leaf nodes
+    let entry = new ChromRegion({
+      chr: 'chr1',
+      start: start,
+      end: start + (i % 100 ? ENTRY_SPACING : ENTRY_SPACING * 50)
+    })
+    entry.data = { value: i % 17 }
+    entries.push(entry)
+  }
+  return entries
+}
+
+function createSummaryEntries (count, resolution) {
+  let entries = []
+  for (let i = 0; i < count; i++) {
+    let entry = new ChromRegion({
+      chr: 'chr1',
+      start: i * resolution,
+      end: (i + 1) * resolution
+    })
+    entry.data = { validCount: resolution, sum: i % 17 * resolution }
+    entries.push(entry)
+  }
+  return entries
+}
+
+function timeInsert (entries, resolution, treeLength) {
+  let tree = new PineTreeNS.PineTree(
+    new ChromRegion({ chr: 'chr1', start: 0, end: treeLength }),
+    { _SummaryCtor: PineTreeNS.MeanSummary })
+  let range = new ChromRegion({ chr: 'chr1', start: 0, end: treeLength })
+  range.resolution = resolution
+  let startTime = process.hrtime()
+  tree.insert(entries, range)
+  let elapsed = process.hrtime(startTime)
+  return elapsed[0] * 1e3 + elapsed[1] / 1e6
+}
+
+function report (label, count, milliseconds) {
+  console.log(label.padEnd(10) + String(count).padStart(10) + ' entries: ' +
+    milliseconds.toFixed(1).padStart(10) + ' ms, ' +
+    (milliseconds * 1e3 / count).toFixed(3).padStart(8) + ' µs/entry')
+}
+
+function checkCostGrowth (label, costs) {
+  let growth = costs[costs.length - 1] / costs[0]
+  if (growth > MAX_COST_GROWTH) {
+    console.error(label + ': time per entry grows ' + growth.toFixed(2) +
+      ' times from ' + MIN_COUNT + ' entries, insertion is not linear.')
+    process.exitCode = 1
+  }
+}
+
+const maxCount = Math.max(parseInt(process.argv[2]) || 1000000, MIN_COUNT)
+const summaryResolution = PineTreeNS.PineTree._DEFAULT_LEAF_SCALING_FACTOR
+let rawCosts = []
+let summaryCosts = []
+
+// Warm up so that the smallest size is not penalized by compilation
+timeInsert(createRawEntries(MIN_COUNT), 1, (MIN_COUNT + 50) * ENTRY_SPACING)
+timeInsert(createSummaryEntries(MIN_COUNT, summaryResolution),
+  summaryResolution, MIN_COUNT * summaryResolution)
+
+for (let count = MIN_COUNT; count <= maxCount; count *= 10) {
+  let rawTime = timeInsert(createRawEntries(count), 1,
+    (count + 50) * ENTRY_SPACING)
+  report('raw', count, rawTime)
+  rawCosts.push(rawTime / count)
+  let summaryTime = timeInsert(createSummaryEntries(count, summaryResolution),
+    summaryResolution, count * summaryResolution)
+  report('summary', count, summaryTime)
+  summaryCosts.push(summaryTime / count)
+}
+
+checkCostGrowth('raw', rawCosts)
+checkCostGrowth('summary', summaryCosts)
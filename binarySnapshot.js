@@ -0,0 +1,352 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module BinarySnapshot
+ */
+
+/**
+ * Helpers to write and read binary snapshots of pine trees (see
+ *    `PineTree.prototype.toBinary` and `PineTree.fromBinary`).
+ *
+ * All numbers are little-endian. A snapshot (version 1) is laid out as:
+ * *  Header: `MAGIC` (`uint32`), `VERSION` (`uint16`), reserved (`uint16`),
+ *    offset of the root node record (`uint32`), offset of the entry table
+ *    (`uint32`), then tree properties as a JSON string;
+ * *  Node records (children before their parents): number of keys (`uint32`),
+ *    summary encoding (`uint8`, see `SUMMARY_ENCODINGS`), then keys
+ *    (`float64`), child types (`uint8`, see `CHILD_TYPES`), offsets of child
+ *    records (`uint32`) and the summary;
+ * *  Leaf records: number of entries starting in the leaf (`uint32`), number
+ *    of entries continued from previous leaves (`uint32`), then indices of
+ *    all these entries in the entry table (`uint32`);
+ * *  Entry table: number of entries (`uint32`), then the columns of all
+ *    entries: starts (`float64`), ends (`float64`), values (`float64`),
+ *    flags (`uint8`, see `ENTRY_FLAGS`) and offsets of extra properties
+ *    (`uint32`, `0` if none), followed by the extra properties as JSON
+ *    strings.
+ *
+ * Arrays of numbers are aligned to the size of their elements, so they can
+ *    be read through typed arrays directly. Strings are stored as their byte
+ *    length (`uint32`) followed by UTF-8 bytes. Summaries are stored either
+ *    as an array of `float64` numbers (preceded by its length as `uint32`)
+ *    through the summary binary codec (`SummaryBase.prototype.toBinary` and
+ *    `SummaryBase.fromBinary`), or as JSON strings if the codec is not
+ *    available.
+ *
+ * Entries are stored by their coordinates, `.data.value` if it's the only
+ *    property of `.data` (as entries from signal files), and all other
+ *    properties as JSON (`.chr` is omitted if it's the chromosome of the
+ *    tree).
+ */
+
+/* global TextEncoder, TextDecoder */
+// Globals in browsers and Node.js 11+, provided by `util` in Node.js 10
+const TextEncoderCtor = typeof TextEncoder === 'function'
+  ? TextEncoder : require('util').TextEncoder
+const TextDecoderCtor = typeof TextDecoder === 'function'
+  ? TextDecoder : require('util').TextDecoder
+
+const MAGIC = 0x454e4950 // 'PINE'
+const VERSION = 1
+
+const CHILD_TYPES = {
+  NULL: 0,
+  FALSE: 1,
+  NODE: 2,
+  LEAF: 3
+}
+
+const SUMMARY_ENCODINGS = {
+  NONE: 0,
+  BINARY: 1,
+  JSON: 2
+}
+
+const ENTRY_FLAGS = {
+  VALUE: 1,
+  EXTRA: 2
+}
+
+const _INITIAL_CAPACITY = 65536
+
+// Typed arrays use the byte order of the platform
+const _IS_LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1
+
+/**
+ * Writer of binary snapshots, the underlying buffer grows as needed.
+ *
+ * @property {number} offset - the current writing offset
+ *
+ * @class
+ */
+class SnapshotWriter {
+  constructor () {
+    this._buffer = new ArrayBuffer(_INITIAL_CAPACITY)
+    this._view = new DataView(this._buffer)
+    this._encoder = new TextEncoderCtor()
+    this.offset = 0
+  }
+
+  /**
+   * Make sure that `size` more bytes can be written.
+   *
+   * @param  {number} size - the number of bytes
+   */
+  _reserve (size) {
+    if (this.offset + size > this._buffer.byteLength) {
+      let capacity = this._buffer.byteLength * 2
+      while (this.offset + size > capacity) {
+        capacity *= 2
+      }
+      let newBuffer = new ArrayBuffer(capacity)
+      new Uint8Array(newBuffer).set(new Uint8Array(this._buffer, 0,
+        this.offset))
+      this._buffer = newBuffer
+      this._view = new DataView(newBuffer)
+    }
+  }
+
+  /**
+   * Pad with zeros until `this.offset` is a multiple of `bytes`.
+   *
+   * @param  {number} bytes - the alignment
+   */
+  align (bytes) {
+    let padding = (bytes - this.offset % bytes) % bytes
+    this._reserve(padding)
+    this.offset += padding
+  }
+
+  writeUint8 (value) {
+    this._reserve(1)
+    this._view.setUint8(this.offset, value)
+    this.offset += 1
+  }
+
+  writeUint16 (value) {
+    this._reserve(2)
+    this._view.setUint16(this.offset, value, true)
+    this.offset += 2
+  }
+
+  writeUint32 (value) {
+    this._reserve(4)
+    this._view.setUint32(this.offset, value, true)
+    this.offset += 4
+  }
+
+  writeFloat64 (value) {
+    this._reserve(8)
+    this._view.setFloat64(this.offset, value, true)
+    this.offset += 8
+  }
+
+  /**
+   * Write an array of numbers after aligning to the size of its elements.
+   *
+   * @param  {Array<number>|TypedArray} values - the numbers
+   * @param  {function} ArrayCtor - the typed array constructor of the
+   *    elements, `Float64Array`, for example.
+   * @param  {function} writeFunc - the function to write a single element,
+   *    used on big-endian platforms.
+   */
+  _writeArray (values, ArrayCtor, writeFunc) {
+    let byteLength = values.length * ArrayCtor.BYTES_PER_ELEMENT
+    this.align(ArrayCtor.BYTES_PER_ELEMENT)
+    if (_IS_LITTLE_ENDIAN) {
+      this._reserve(byteLength)
+      new ArrayCtor(this._buffer, this.offset, values.length).set(values)
+      this.offset += byteLength
+    } else {
+      for (let i = 0; i < values.length; i++) {
+        writeFunc.call(this, values[i])
+      }
+    }
+  }
+
+  writeUint8Array (values) {
+    this._writeArray(values, Uint8Array, this.writeUint8)
+  }
+
+  writeUint32Array (values) {
+    this._writeArray(values, Uint32Array, this.writeUint32)
+  }
+
+  writeFloat64Array (values) {
+    this._writeArray(values, Float64Array, this.writeFloat64)
+  }
+
+  /**
+   * Overwrite a `uint32` value previously written (as a placeholder).
+   *
+   * @param  {number} offset - the offset of the value
+   * @param  {number} value - the new value
+   */
+  setUint32 (offset, value) {
+    this._view.setUint32(offset, value, true)
+  }
+
+  /**
+   * Write a string as its byte length and UTF-8 bytes.
+   *
+   * @param  {string} value - the string
+   */
+  writeString (value) {
+    let bytes = this._encoder.encode(value)
+    this.writeUint32(bytes.length)
+    this._reserve(bytes.length)
+    new Uint8Array(this._buffer, this.offset, bytes.length).set(bytes)
+    this.offset += bytes.length
+  }
+
+  /**
+   * Get the snapshot written.
+   *
+   * @returns {ArrayBuffer} the snapshot
+   */
+  toArrayBuffer () {
+    return this._buffer.slice(0, this.offset)
+  }
+}
+
+/**
+ * Reader of binary snapshots, reading sequentially from `this.offset`.
+ *
+ * @property {number} offset - the current reading offset
+ *
+ * @class
+ *
+ * @param {ArrayBuffer|ArrayBufferView|DataView} buffer - the snapshot,
+ *    Node.js `Buffer`s can be used directly.
+ * @param {number} [offset] - the starting offset, `0` by default
+ */
+class SnapshotReader {
+  constructor (buffer, offset) {
+    if (buffer instanceof DataView) {
+      this._view = buffer
+    } else if (buffer instanceof ArrayBuffer) {
+      this._view = new DataView(buffer)
+    } else if (ArrayBuffer.isView(buffer)) {
+      this._view = new DataView(buffer.buffer, buffer.byteOffset,
+        buffer.byteLength)
+    } else {
+      throw new Error('Snapshot is not a buffer: ' + buffer)
+    }
+    this._decoder = new TextDecoderCtor()
+    this.offset = offset || 0
+  }
+
+  /**
+   * Get another reader of the same snapshot starting from `offset`.
+   *
+   * @param  {number} offset - the starting offset
+   * @returns {SnapshotReader} the new reader
+   */
+  at (offset) {
+    return new this.constructor(this._view, offset)
+  }
+
+  align (bytes) {
+    this.offset += (bytes - this.offset % bytes) % bytes
+  }
+
+  readUint8 () {
+    let value = this._view.getUint8(this.offset)
+    this.offset += 1
+    return value
+  }
+
+  readUint16 () {
+    let value = this._view.getUint16(this.offset, true)
+    this.offset += 2
+    return value
+  }
+
+  readUint32 () {
+    let value = this._view.getUint32(this.offset, true)
+    this.offset += 4
+    return value
+  }
+
+  readFloat64 () {
+    let value = this._view.getFloat64(this.offset, true)
+    this.offset += 8
+    return value
+  }
+
+  /**
+   * Read an array of numbers written by `SnapshotWriter.prototype._writeArray`.
+   *
+   *    The array shares the memory of the snapshot if possible (it's copied
+   *    if the snapshot is not aligned in its buffer).
+   *
+   * @param  {number} length - the number of elements
+   * @param  {function} ArrayCtor - the typed array constructor of the
+   *    elements, `Float64Array`, for example.
+   * @param  {function} readFunc - the function to read a single element,
+   *    used on big-endian platforms.
+   * @returns {TypedArray} the elements
+   */
+  _readArray (length, ArrayCtor, readFunc) {
+    let byteLength = length * ArrayCtor.BYTES_PER_ELEMENT
+    this.align(ArrayCtor.BYTES_PER_ELEMENT)
+    let result
+    if (!_IS_LITTLE_ENDIAN) {
+      result = new ArrayCtor(length)
+      for (let i = 0; i < length; i++) {
+        result[i] = readFunc.call(this)
+      }
+      return result
+    }
+    let byteOffset = this._view.byteOffset + this.offset
+    result = byteOffset % ArrayCtor.BYTES_PER_ELEMENT
+      ? new ArrayCtor(this._view.buffer.slice(byteOffset,
+        byteOffset + byteLength))
+      : new ArrayCtor(this._view.buffer, byteOffset, length)
+    this.offset += byteLength
+    return result
+  }
+
+  readUint8Array (length) {
+    return this._readArray(length, Uint8Array, this.readUint8)
+  }
+
+  readUint32Array (length) {
+    return this._readArray(length, Uint32Array, this.readUint32)
+  }
+
+  readFloat64Array (length) {
+    return this._readArray(length, Float64Array, this.readFloat64)
+  }
+
+  readString () {
+    let length = this.readUint32()
+    let value = this._decoder.decode(new Uint8Array(this._view.buffer,
+      this._view.byteOffset + this.offset, length))
+    this.offset += length
+    return value
+  }
+}
+
+module.exports = {
+  MAGIC: MAGIC,
+  VERSION: VERSION,
+  CHILD_TYPES: CHILD_TYPES,
+  SUMMARY_ENCODINGS: SUMMARY_ENCODINGS,
+  ENTRY_FLAGS: ENTRY_FLAGS,
+  SnapshotWriter: SnapshotWriter,
+  SnapshotReader: SnapshotReader
+}
@@ -0,0 +1,67 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module BedGraph
+ */
+
+const SignalFormat = require('./signalFormat')
+const readLines = require('./textLines').readLines
+
+/**
+ * The bedGraph format, see
+ *    https://genome.ucsc.edu/goldenPath/help/bedgraph.html.
+ *
+ * Every data line has four fields: chromosome, start (0-based), end and
+ *    value.
+ *
+ * @class
+ * @alias module:BedGraph
+ * @extends SignalFormat
+ */
+class BedGraph extends SignalFormat {
+  static async * parse (source) {
+    let lineNumber = 0
+    for await (let line of readLines(source)) {
+      lineNumber++
+      line = line.trim()
+      if (this._isSkippedLine(line)) {
+        continue
+      }
+      let fields = line.split(/\s+/)
+      if (fields.length < 4) {
+        throw new Error('Invalid bedGraph line ' + lineNumber + ': ' + line)
+      }
+      yield this._createEntry(fields[0],
+        this._parseNumber(fields[1], parseInt, lineNumber),
+        this._parseNumber(fields[2], parseInt, lineNumber),
+        this._parseNumber(fields[3], parseFloat, lineNumber))
+    }
+  }
+
+  static * _formatRecords (chr, records, props) {
+    for (let record of records) {
+      if (record.uncached) {
+        if (props.flagGaps) {
+          yield this._formatGap(chr, record)
+        }
+      } else {
+        yield [chr, record.start, record.end, record.value].join('\t')
+      }
+    }
+  }
+}
+
+module.exports = BedGraph
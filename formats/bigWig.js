@@ -0,0 +1,588 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module BigWig
+ */
+
+const SignalFormat = require('./signalFormat')
+
+/**
+ * Reader of local bigWig files, see
+ *    https://genome.ucsc.edu/goldenPath/help/bigWig.html.
+ *
+ * The reader provides data for the ranges returned by
+ *    `PineTree.prototype.getUncachedRange` (see `this.fetch`), so it can be
+ *    used as the fetcher of `PineTree.prototype.query`:
+ * *  at resolution `1`, raw data entries (with their values in
+ *    `.data.value`) are read from the data sections;
+ * *  at coarser resolutions, summary entries aligned to the resolution are
+ *    built from the zoom level closest to (but not coarser than) the
+ *    resolution through `static fromMoments` of the summary class. If there
+ *    is no such zoom level or the summary class cannot be built from
+ *    moments, summaries are built from raw data instead.
+ *
+ * Only the parts of the file needed are read.
+ *
+ * @class
+ * @alias module:BigWig
+ */
+class BigWig {
+  /**
+   * Creates an instance of BigWig.
+   *
+   * @constructor
+   * @param {string|ArrayBuffer|ArrayBufferView} source - the path of the
+   *    file (Node.js only) or the content of the file.
+   * @param {Object} [props] - additional properties
+   * @param {function} [props.inflate] - the function to decompress data
+   *    blocks compressed by zlib, which takes a `Uint8Array` and returns the
+   *    decompressed `Uint8Array`. `inflateSync` of Node.js `zlib` module is
+   *    used by default.
+   */
+  constructor (source, props) {
+    props = props || {}
+    if (typeof source !== 'string') {
+      if (source instanceof ArrayBuffer) {
+        source = new Uint8Array(source)
+      } else if (ArrayBuffer.isView(source)) {
+        source = new Uint8Array(
+          source.buffer, source.byteOffset, source.byteLength)
+      } else {
+        throw new Error('Invalid bigWig source: ' + source)
+      }
+    }
+    this._source = source
+    this._inflate = props.inflate || null
+    this._fileHandlePromise = null
+    this._headerPromise = null
+    this._littleEndian = true
+  }
+
+  /**
+   * Read the header of the file, including zoom levels and chromosomes.
+   *    The header is only read once.
+   *
+   * @async
+   * @returns {Promise<Object>} resolved with the header, with zoom levels
+   *    (sorted by their `reductionLevel`) in `.zoomLevels` and chromosomes
+   *    (with their `id` and `size`) keyed by names in `.chroms`.
+   */
+  readHeader () {
+    if (!this._headerPromise) {
+      this._headerPromise = this._readHeader()
+    }
+    return this._headerPromise
+  }
+
+  /**
+   * Get data entries within a range.
+   *
+   * @async
+   * @param {ChromRegion} chrRange - the range, with its resolution in
+   *    `.resolution`, usually from `PineTree.prototype.getUncachedRange`.
+   *    Coarser resolutions need `chrRange.start` to be aligned to the
+   *    resolution.
+   * @param {Object} [props] - additional properties
+   * @param {number} [props.resolution] - the resolution, if
+   *    `chrRange.resolution` is not available, default to `1`.
+   * @param {function} [props._SummaryCtor] - the summary constructor, needed
+   *    for resolutions coarser than `1`.
+   * @returns {Promise<Array<ChromRegion>>} resolved with sorted raw data
+   *    entries overlapping `chrRange` at resolution `1`, or summary entries
+   *    covering `chrRange` (one for every `resolution` bases) otherwise.
+   *    Summary entries beyond the chromosome will be empty.
+   */
+  async fetch (chrRange, props) {
+    props = props || {}
+    let resolution = chrRange.resolution || props.resolution || 1
+    let header = await this.readHeader()
+    let chrom = header.chroms.hasOwnProperty(chrRange.chr)
+      ? header.chroms[chrRange.chr] : null
+    if (resolution <= 1) {
+      return chrom
+        ? this._readRawEntries(chrRange.chr, chrom, chrRange.start,
+          chrRange.end)
+        : []
+    }
+    let SummaryCtor = props._SummaryCtor
+    if (typeof SummaryCtor !== 'function') {
+      throw new Error('A summary constructor is needed for resolution ' +
+        resolution + '.')
+    }
+    let bins = SignalFormat._createBins(chrRange, resolution)
+    if (!bins.length || !chrom) {
+      return bins.map(bin => new SummaryCtor().attach(bin))
+    }
+    let zoomLevel = null
+    header.zoomLevels.forEach(level => {
+      if (level.reductionLevel <= resolution) {
+        zoomLevel = level
+      }
+    })
+    if (zoomLevel) {
+      let summaries = await this._readZoomSummaries(zoomLevel, chrom, bins,
+        resolution, SummaryCtor)
+      if (summaries) {
+        return summaries
+      }
+    }
+    let entries = await this._readRawEntries(chrRange.chr, chrom,
+      chrRange.start, chrRange.end)
+    return this.constructor._summarizeEntries(entries, bins, resolution,
+      SummaryCtor)
+  }
+
+  /**
+   * Get a fetcher for `PineTree.prototype.query`.
+   *
+   * @param {PineTree} tree - the tree to fetch data for, its summary
+   *    constructor will be used.
+   * @returns {function} the fetcher
+   */
+  getFetcher (tree) {
+    return chrRange => this.fetch(chrRange,
+      { _SummaryCtor: tree._SummaryCtor })
+  }
+
+  /**
+   * Close the file if it has been opened.
+   *
+   * @async
+   * @returns {Promise} resolved when the file is closed.
+   */
+  async close () {
+    if (this._fileHandlePromise) {
+      let fileHandlePromise = this._fileHandlePromise
+      this._fileHandlePromise = null
+      await (await fileHandlePromise).close()
+    }
+  }
+
+  /**
+   * Read `length` bytes from `offset` of the source.
+   *
+   * @async
+   * @param {number} offset - the offset
+   * @param {number} length - number of bytes
+   * @returns {Promise<DataView>} resolved with the bytes read, which may be
+   *    shorter than `length` at the end of the source.
+   */
+  async _read (offset, length) {
+    if (typeof this._source === 'string') {
+      if (!this._fileHandlePromise) {
+        // Only required when used so that the module can still be used in
+        //    browsers
+        this._fileHandlePromise =
+          require('fs').promises.open(this._source, 'r')
+      }
+      let fileHandle = await this._fileHandlePromise
+      let buffer = Buffer.alloc(length)
+      let bytesRead = (await fileHandle.read(buffer, 0, length, offset))
+        .bytesRead
+      return new DataView(buffer.buffer, buffer.byteOffset, bytesRead)
+    }
+    offset = Math.min(offset, this._source.byteLength)
+    return new DataView(this._source.buffer, this._source.byteOffset + offset,
+      Math.min(length, this._source.byteLength - offset))
+  }
+
+  /**
+   * Read a data block (compressed or not) indicated by the index.
+   *
+   * @async
+   * @param {{offset: number, size: number}} block - the block
+   * @returns {Promise<DataView>} resolved with the decompressed block.
+   */
+  async _readBlock (block) {
+    let view = await this._read(block.offset, block.size)
+    if ((await this.readHeader()).uncompressBufSize > 0) {
+      let inflate = this._inflate || require('zlib').inflateSync
+      let bytes = inflate(
+        new Uint8Array(view.buffer, view.byteOffset, view.byteLength))
+      view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    }
+    return view
+  }
+
+  _getUint16 (view, offset) {
+    return view.getUint16(offset, this._littleEndian)
+  }
+
+  _getUint32 (view, offset) {
+    return view.getUint32(offset, this._littleEndian)
+  }
+
+  /**
+   * Read an unsigned 64-bit integer as a number (offsets in the file are
+   *    always within `Number.MAX_SAFE_INTEGER`).
+   *
+   * @param {DataView} view - the view
+   * @param {number} offset - the offset in `view`
+   * @returns {number} the number
+   */
+  _getUint64 (view, offset) {
+    let low = view.getUint32(offset + (this._littleEndian ? 0 : 4),
+      this._littleEndian)
+    let high = view.getUint32(offset + (this._littleEndian ? 4 : 0),
+      this._littleEndian)
+    return high * 0x100000000 + low
+  }
+
+  _getFloat32 (view, offset) {
+    return view.getFloat32(offset, this._littleEndian)
+  }
+
+  async _readHeader () {
+    let view = await this._read(0, BigWig._HEADER_SIZE)
+    if (view.byteLength < BigWig._HEADER_SIZE) {
+      throw new Error('Not a bigWig file: file is too short.')
+    }
+    if (view.getUint32(0, true) !== BigWig.MAGIC) {
+      if (view.getUint32(0, false) !== BigWig.MAGIC) {
+        throw new Error('Not a bigWig file: magic number does not match.')
+      }
+      this._littleEndian = false
+    }
+    let header = {
+      version: this._getUint16(view, 4),
+      zoomLevelCount: this._getUint16(view, 6),
+      chromTreeOffset: this._getUint64(view, 8),
+      fullDataOffset: this._getUint64(view, 16),
+      fullIndexOffset: this._getUint64(view, 24),
+      uncompressBufSize: this._getUint32(view, 52)
+    }
+    let zoomView = await this._read(BigWig._HEADER_SIZE,
+      header.zoomLevelCount * BigWig._ZOOM_HEADER_SIZE)
+    header.zoomLevels = []
+    for (let i = 0; i < header.zoomLevelCount; i++) {
+      let offset = i * BigWig._ZOOM_HEADER_SIZE
+      header.zoomLevels.push({
+        reductionLevel: this._getUint32(zoomView, offset),
+        dataOffset: this._getUint64(zoomView, offset + 8),
+        indexOffset: this._getUint64(zoomView, offset + 16)
+      })
+    }
+    header.zoomLevels.sort(
+      (levelA, levelB) => levelA.reductionLevel - levelB.reductionLevel)
+    header.chroms = await this._readChromTree(header.chromTreeOffset)
+    return header
+  }
+
+  /**
+   * Read all chromosomes from the chromosome B+ tree.
+   *
+   * @async
+   * @param {number} offset - offset of the B+ tree
+   * @returns {Promise<Object<string, {id: number, size: number}>>}
+   *    resolved with the chromosomes keyed by their names.
+   */
+  async _readChromTree (offset) {
+    let view = await this._read(offset, BigWig._CHROM_TREE_HEADER_SIZE)
+    if (this._getUint32(view, 0) !== BigWig.CHROM_TREE_MAGIC) {
+      throw new Error('Invalid bigWig file: chromosome tree not found.')
+    }
+    let keySize = this._getUint32(view, 8)
+    let chroms = {}
+    await this._readChromTreeNode(offset + BigWig._CHROM_TREE_HEADER_SIZE,
+      keySize, chroms)
+    return chroms
+  }
+
+  async _readChromTreeNode (offset, keySize, chroms) {
+    let nodeHeader = await this._read(offset, BigWig._NODE_HEADER_SIZE)
+    let isLeaf = nodeHeader.getUint8(0) !== 0
+    let count = this._getUint16(nodeHeader, 2)
+    // Both leaf items (id and size) and non-leaf items (child offset) have
+    //    8 bytes after the key
+    let itemSize = keySize + 8
+    let view = await this._read(offset + BigWig._NODE_HEADER_SIZE,
+      count * itemSize)
+    for (let i = 0; i < count; i++) {
+      let itemOffset = i * itemSize
+      if (isLeaf) {
+        let key = ''
+        for (let j = 0; j < keySize; j++) {
+          let charCode = view.getUint8(itemOffset + j)
+          if (!charCode) {
+            break
+          }
+          key += String.fromCharCode(charCode)
+        }
+        chroms[key] = {
+          id: this._getUint32(view, itemOffset + keySize),
+          size: this._getUint32(view, itemOffset + keySize + 4)
+        }
+      } else {
+        await this._readChromTreeNode(
+          this._getUint64(view, itemOffset + keySize), keySize, chroms)
+      }
+    }
+  }
+
+  /**
+   * Find all data blocks overlapping a range in an R tree index.
+   *
+   * @async
+   * @param {number} indexOffset - offset of the index
+   * @param {number} chromId - the ID of the chromosome
+   * @param {number} start - start of the range
+   * @param {number} end - end of the range
+   * @returns {Promise<Array<{offset: number, size: number}>>} resolved with
+   *    the blocks, in the order of the index.
+   */
+  async _searchIndex (indexOffset, chromId, start, end) {
+    let view = await this._read(indexOffset, BigWig._INDEX_HEADER_SIZE)
+    if (this._getUint32(view, 0) !== BigWig.INDEX_MAGIC) {
+      throw new Error('Invalid bigWig file: data index not found.')
+    }
+    let blocks = []
+    await this._searchIndexNode(indexOffset + BigWig._INDEX_HEADER_SIZE,
+      chromId, start, end, blocks)
+    return blocks
+  }
+
+  async _searchIndexNode (offset, chromId, start, end, blocks) {
+    let nodeHeader = await this._read(offset, BigWig._NODE_HEADER_SIZE)
+    let isLeaf = nodeHeader.getUint8(0) !== 0
+    let count = this._getUint16(nodeHeader, 2)
+    let itemSize = isLeaf ? 32 : 24
+    let view = await this._read(offset + BigWig._NODE_HEADER_SIZE,
+      count * itemSize)
+    for (let i = 0; i < count; i++) {
+      let itemOffset = i * itemSize
+      let startChromId = this._getUint32(view, itemOffset)
+      let startBase = this._getUint32(view, itemOffset + 4)
+      let endChromId = this._getUint32(view, itemOffset + 8)
+      let endBase = this._getUint32(view, itemOffset + 12)
+      if ((startChromId < chromId ||
+        (startChromId === chromId && startBase < end)) &&
+        (endChromId > chromId || (endChromId === chromId && endBase > start))
+      ) {
+        if (isLeaf) {
+          blocks.push({
+            offset: this._getUint64(view, itemOffset + 16),
+            size: this._getUint64(view, itemOffset + 24)
+          })
+        } else {
+          await this._searchIndexNode(this._getUint64(view, itemOffset + 16),
+            chromId, start, end, blocks)
+        }
+      }
+    }
+  }
+
+  /**
+   * Read raw data entries overlapping a range from the data sections.
+   *
+   * @async
+   * @param {string} chr - the chromosome
+   * @param {{id: number, size: number}} chrom - the chromosome in the file
+   * @param {number} start - start of the range
+   * @param {number} end - end of the range
+   * @returns {Promise<Array<ChromRegion>>} resolved with the sorted entries
+   */
+  async _readRawEntries (chr, chrom, start, end) {
+    let header = await this.readHeader()
+    let blocks = await this._searchIndex(header.fullIndexOffset, chrom.id,
+      start, end)
+    let entries = []
+    for (let block of blocks) {
+      let view = await this._readBlock(block)
+      let offset = 0
+      while (offset + BigWig._SECTION_HEADER_SIZE <= view.byteLength) {
+        let sectionChromId = this._getUint32(view, offset)
+        let sectionStart = this._getUint32(view, offset + 4)
+        let itemStep = this._getUint32(view, offset + 12)
+        let itemSpan = this._getUint32(view, offset + 16)
+        let type = view.getUint8(offset + 20)
+        let itemCount = this._getUint16(view, offset + 22)
+        offset += BigWig._SECTION_HEADER_SIZE
+        for (let i = 0; i < itemCount; i++) {
+          let itemStart, itemEnd, value
+          switch (type) {
+            case BigWig.SECTION_TYPES.BED_GRAPH:
+              itemStart = this._getUint32(view, offset)
+              itemEnd = this._getUint32(view, offset + 4)
+              value = this._getFloat32(view, offset + 8)
+              offset += 12
+              break
+            case BigWig.SECTION_TYPES.VARIABLE_STEP:
+              itemStart = this._getUint32(view, offset)
+              itemEnd = itemStart + itemSpan
+              value = this._getFloat32(view, offset + 4)
+              offset += 8
+              break
+            case BigWig.SECTION_TYPES.FIXED_STEP:
+              itemStart = sectionStart + i * itemStep
+              itemEnd = itemStart + itemSpan
+              value = this._getFloat32(view, offset)
+              offset += 4
+              break
+            default:
+              throw new Error('Invalid bigWig file: unknown section type ' +
+                type + '.')
+          }
+          if (sectionChromId === chrom.id && itemStart < end &&
+            itemEnd > start
+          ) {
+            entries.push(
+              SignalFormat._createEntry(chr, itemStart, itemEnd, value))
+          }
+        }
+      }
+    }
+    entries.sort((entryA, entryB) => entryA.start - entryB.start)
+    return entries
+  }
+
+  /**
+   * Build summary entries of bins from the records of a zoom level.
+   *
+   *    Records partially overlapping a bin contribute to the bin in
+   *    proportion to the overlap (except for minimum and maximum values).
+   *
+   * @async
+   * @param {Object} zoomLevel - the zoom level
+   * @param {{id: number, size: number}} chrom - the chromosome in the file
+   * @param {Array<ChromRegion>} bins - the bins, see
+   *    `SignalFormat._createBins`
+   * @param {number} resolution - the resolution of the bins
+   * @param {function} SummaryCtor - the summary constructor
+   * @returns {Promise<Array<ChromRegion>|null>} resolved with the summary
+   *    entries, or `null` if summaries cannot be built from moments.
+   */
+  async _readZoomSummaries (zoomLevel, chrom, bins, resolution,
+    SummaryCtor
+  ) {
+    let start = bins[0].start
+    let end = bins[bins.length - 1].end
+    let firstBinIndex = Math.floor(start / resolution)
+    let moments = bins.map(() => ({
+      validCount: 0, sum: 0, sumSquares: 0, min: Infinity, max: -Infinity
+    }))
+    let blocks = await this._searchIndex(zoomLevel.indexOffset, chrom.id,
+      start, end)
+    for (let block of blocks) {
+      let view = await this._readBlock(block)
+      for (let offset = 0;
+        offset + BigWig._ZOOM_RECORD_SIZE <= view.byteLength;
+        offset += BigWig._ZOOM_RECORD_SIZE
+      ) {
+        let recordStart = this._getUint32(view, offset + 4)
+        let recordEnd = this._getUint32(view, offset + 8)
+        if (this._getUint32(view, offset) !== chrom.id ||
+          recordStart >= end || recordEnd <= start || recordEnd <= recordStart
+        ) {
+          continue
+        }
+        let validCount = this._getUint32(view, offset + 12)
+        let min = this._getFloat32(view, offset + 16)
+        let max = this._getFloat32(view, offset + 20)
+        let sum = this._getFloat32(view, offset + 24)
+        let sumSquares = this._getFloat32(view, offset + 28)
+        for (let binIndex =
+          Math.max(0, Math.floor(recordStart / resolution) - firstBinIndex);
+          binIndex < bins.length && bins[binIndex].start < recordEnd;
+          binIndex++
+        ) {
+          let ratio = (Math.min(bins[binIndex].end, recordEnd) -
+            Math.max(bins[binIndex].start, recordStart)) /
+            (recordEnd - recordStart)
+          let binMoments = moments[binIndex]
+          binMoments.validCount += validCount * ratio
+          binMoments.sum += sum * ratio
+          binMoments.sumSquares += sumSquares * ratio
+          binMoments.min = Math.min(binMoments.min, min)
+          binMoments.max = Math.max(binMoments.max, max)
+        }
+      }
+    }
+    let result = []
+    for (let i = 0; i < bins.length; i++) {
+      let summary = SummaryCtor.fromMoments(moments[i])
+      if (!summary) {
+        return null
+      }
+      result.push(summary.attach(bins[i]))
+    }
+    return result
+  }
+
+  /**
+   * Build summary entries of bins from sorted raw data entries.
+   *
+   * @static
+   * @param {Array<ChromRegion>} entries - the raw data entries
+   * @param {Array<ChromRegion>} bins - the bins, see
+   *    `SignalFormat._createBins`
+   * @param {number} resolution - the resolution of the bins
+   * @param {function} SummaryCtor - the summary constructor
+   * @returns {Array<ChromRegion>} the summary entries
+   */
+  static _summarizeEntries (entries, bins, resolution, SummaryCtor) {
+    let summaries = bins.map(() => new SummaryCtor())
+    let firstBinIndex = Math.floor(bins[0].start / resolution)
+    entries.forEach(entry => {
+      for (let binIndex =
+        Math.max(0, Math.floor(entry.start / resolution) - firstBinIndex);
+        binIndex < bins.length && bins[binIndex].start < entry.end;
+        binIndex++
+      ) {
+        summaries[binIndex].addDataFromChromEntry(bins[binIndex], entry)
+      }
+    })
+    return summaries.map((summary, index) => summary.attach(bins[index]))
+  }
+}
+
+/**
+ * Magic number of bigWig files
+ * @static
+ * @type {number}
+ */
+BigWig.MAGIC = 0x888FFC26
+/**
+ * Magic number of the chromosome B+ tree
+ * @static
+ * @type {number}
+ */
+BigWig.CHROM_TREE_MAGIC = 0x78CA8C91
+/**
+ * Magic number of R tree indices
+ * @static
+ * @type {number}
+ */
+BigWig.INDEX_MAGIC = 0x2468ACE0
+/**
+ * Types of data sections
+ * @static
+ * @type {Object<string, number>}
+ */
+BigWig.SECTION_TYPES = {
+  BED_GRAPH: 1,
+  VARIABLE_STEP: 2,
+  FIXED_STEP: 3
+}
+
+BigWig._HEADER_SIZE = 64
+BigWig._ZOOM_HEADER_SIZE = 24
+BigWig._CHROM_TREE_HEADER_SIZE = 32
+BigWig._INDEX_HEADER_SIZE = 48
+BigWig._NODE_HEADER_SIZE = 4
+BigWig._SECTION_HEADER_SIZE = 24
+BigWig._ZOOM_RECORD_SIZE = 32
+
+module.exports = BigWig
@@ -0,0 +1,371 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module SignalFormat
+ */
+
+const ChromRegion = require('@givengine/chrom-region')
+
+/**
+ * Base class for text formats of genomic signals (bedGraph, WIG, etc.),
+ *    which can be imported into and exported from pine trees.
+ *
+ * Derived classes need to implement `static async * parse(source)`, which
+ *    yields data entries (created by `this._createEntry`) in the order of
+ *    the source, and `static * _formatRecords(chr, records, props)`, which
+ *    yields lines of the records to be exported (see `this._getRecords`).
+ *
+ * Data entries are `ChromRegion` objects with their values in `.data.value`,
+ *    so they can be summarized by all built-in summaries (see `SummaryBase`).
+ *
+ * @class
+ * @alias module:SignalFormat
+ */
+class SignalFormat {
+  /**
+   * Parse data entries from a source.
+   *
+   * @static
+   * @async
+   * @generator
+   * @param {string|ArrayBuffer|ArrayBufferView|Iterable|AsyncIterable}
+   *    source - the text or a stream of the text, see `readLines` in
+   *    `TextLines`.
+   * @yields {ChromRegion} the data entries
+   */
+  static async * parse (source) {
+    throw new Error(this.name + '.parse() is not implemented!')
+  }
+
+  /**
+   * Import data entries from a source into a pine tree. Entries on other
+   *    chromosomes or outside the tree will be ignored.
+   *
+   *    Data entries will be inserted for the whole range of the tree at
+   *    resolution `1`, so summaries of all nodes will be built and the tree
+   *    can be browsed at any resolution right away. Entries are streamed
+   *    into the tree (see `PineTree.prototype.insertStream`), so entries on
+   *    the chromosome of the tree need to be sorted by their starts.
+   *
+   * @static
+   * @async
+   * @param {PineTree} tree - the tree to import into
+   * @param {string|ArrayBuffer|ArrayBufferView|Iterable|AsyncIterable}
+   *    source - the text or a stream of the text, see `this.parse`.
+   * @param {Object} [props] - additional properties
+   * @param {number} [props.chunkSize] - the number of entries inserted at a
+   *    time, see `PineTree.prototype.insertStream`.
+   * @returns {Promise<number>} resolved with the number of data entries
+   *    imported.
+   */
+  static importInto (tree, source, props) {
+    return tree.insertStream(this.parse(source), this._getTreeRange(tree),
+      { chunkSize: props && props.chunkSize })
+  }
+
+  /**
+   * Import data entries from a local file into a pine tree (Node.js only).
+   *    See `this.importInto` for details.
+   *
+   * @static
+   * @async
+   * @param {PineTree} tree - the tree to import into
+   * @param {string} filePath - the path of the file
+   * @param {Object} [props] - additional properties, see `this.importInto`.
+   * @returns {Promise<number>} resolved with the number of data entries
+   *    imported.
+   */
+  static importFile (tree, filePath, props) {
+    // Only required when used so that the module can still be used in
+    //    browsers
+    const fs = require('fs')
+    return this.importInto(tree, fs.createReadStream(filePath), props)
+  }
+
+  /**
+   * Format the cached data of a tree within a range as lines of the format.
+   *
+   *    At resolution `1`, raw data entries (clipped to the range) are
+   *    exported. At coarser resolutions, the range is extended to multiples
+   *    of the resolution and split into bins of the resolution, each
+   *    exported with the value of its summary (see
+   *    `PineTree.prototype.getBins` for how bins are aggregated).
+   *
+   *    Uncached parts (including parts being loaded) are omitted, or flagged
+   *    with comment lines if `props.flagGaps` is `true`.
+   *
+   * @static
+   * @generator
+   * @param {PineTree} tree - the tree to export from
+   * @param {ChromRegion} chrRange - the range to export
+   * @param {number} [chrRange.resolution] - the resolution to export, this
+   *    will override `props.resolution` if both exist.
+   * @param {Object} [props] - additional properties
+   * @param {number} [props.resolution] - the resolution to export, default to
+   *    `1`. Coarser resolutions need summaries in the tree.
+   * @param {function} [props.getValue] - the function to get the value from
+   *    a raw data entry or a bin (with its summary as `.data`), as its sole
+   *    parameter. `.data.value` (see `SummaryBase.prototype.value` for
+   *    summaries) is used by default. Entries or bins without a valid value
+   *    are omitted.
+   * @param {boolean} [props.flagGaps] - whether to flag uncached parts with
+   *    comment lines like `# uncached chr1 1000 2000` (0-based, end
+   *    exclusive).
+   * @yields {string} the lines, without line breaks
+   */
+  static * format (tree, chrRange, props) {
+    props = props || {}
+    yield * this._formatRecords(tree.chr,
+      this._getRecords(tree, chrRange, props), props)
+  }
+
+  /**
+   * Export the cached data of a tree within a range as text of the format.
+   *    See `this.format` for details.
+   *
+   * @static
+   * @param {PineTree} tree - the tree to export from
+   * @param {ChromRegion} chrRange - the range to export
+   * @param {Object} [props] - additional properties, see `this.format`.
+   * @returns {string} the text
+   */
+  static exportRange (tree, chrRange, props) {
+    let text = ''
+    for (let line of this.format(tree, chrRange, props)) {
+      text += line + '\n'
+    }
+    return text
+  }
+
+  /**
+   * Export the cached data of a tree within a range to a local file (Node.js
+   *    only). See `this.format` for details.
+   *
+   * @static
+   * @async
+   * @param {PineTree} tree - the tree to export from
+   * @param {string} filePath - the path of the file
+   * @param {ChromRegion} chrRange - the range to export
+   * @param {Object} [props] - additional properties, see `this.format`.
+   * @returns {Promise} resolved when the file is written.
+   */
+  static exportFile (tree, filePath, chrRange, props) {
+    // Only required when used so that the module can still be used in
+    //    browsers
+    const fs = require('fs')
+    return fs.promises.writeFile(filePath,
+      this.exportRange(tree, chrRange, props))
+  }
+
+  /**
+   * Format records as lines of the format.
+   *
+   * @static
+   * @generator
+   * @param {string} chr - the chromosome of the records
+   * @param {Iterable<Object>} records - the records, see `this._getRecords`
+   * @param {Object} props - additional properties, see `this.format`.
+   * @yields {string} the lines, without line breaks
+   */
+  static * _formatRecords (chr, records, props) {
+    throw new Error(this.name + '._formatRecords() is not implemented!')
+  }
+
+  /**
+   * Format the comment line flagging an uncached part.
+   *
+   * @static
+   * @param {string} chr - the chromosome
+   * @param {{start: number, end: number}} record - the uncached part
+   * @returns {string} the line
+   */
+  static _formatGap (chr, record) {
+    return '# uncached ' + chr + ' ' + record.start + ' ' + record.end
+  }
+
+  /**
+   * Get the records to be exported from a tree, see `this.format`.
+   *
+   * @static
+   * @generator
+   * @param {PineTree} tree - the tree to export from
+   * @param {ChromRegion} chrRange - the range to export
+   * @param {Object} props - additional properties, see `this.format`.
+   * @yields {Object} the records in coordinate order, either with `.start`,
+   *    `.end` and `.value`, or with `.start`, `.end` and `.uncached` (being
+   *    `true`) for uncached parts.
+   */
+  static * _getRecords (tree, chrRange, props) {
+    if (chrRange.chr && chrRange.chr !== tree.chr) {
+      return
+    }
+    let resolution = chrRange.resolution || props.resolution || 1
+    let getValue = props.getValue || (entry => entry.data && entry.data.value)
+    let isValidValue = value => typeof value === 'number' && !isNaN(value)
+    let range = tree._root.truncateChrRange(chrRange, true, true)
+
+    if (resolution <= 1) {
+      let uncachedParts = tree._getUncachedParts(range, 1)
+      let partIndex = 0
+      for (let entry of tree.entries(range, { resolution: 1 })) {
+        while (partIndex < uncachedParts.length &&
+          uncachedParts[partIndex].start <= entry.start
+        ) {
+          yield Object.assign({ uncached: true }, uncachedParts[partIndex++])
+        }
+        let value = getValue(entry)
+        if (isValidValue(value)) {
+          yield {
+            start: Math.max(entry.start, range.start),
+            end: Math.min(entry.end, range.end),
+            value: value
+          }
+        }
+      }
+      while (partIndex < uncachedParts.length) {
+        yield Object.assign({ uncached: true }, uncachedParts[partIndex++])
+      }
+      return
+    }
+
+    if (typeof tree._SummaryCtor !== 'function') {
+      throw new Error('Exporting at resolution ' + resolution + ' needs ' +
+        'summaries, but no summary constructor is provided for the tree.')
+    }
+    let binRegions = this._createBins(new ChromRegion({
+      chr: tree.chr,
+      start: Math.max(tree._root.start,
+        Math.floor(range.start / resolution) * resolution),
+      end: Math.min(tree._root.end,
+        Math.ceil(range.end / resolution) * resolution)
+    }), resolution)
+    let bins = tree._aggregateIntoBins(
+      binRegions.map(region => new tree._SummaryCtor().attach(region)),
+      tree._root._getClosestResolution(resolution))
+    let uncachedPart = null
+    for (let index = 0; index < bins.length; index++) {
+      if (!bins[index]) {
+        if (uncachedPart) {
+          uncachedPart.end = binRegions[index].end
+        } else {
+          uncachedPart = {
+            start: binRegions[index].start,
+            end: binRegions[index].end,
+            uncached: true
+          }
+        }
+        continue
+      }
+      if (uncachedPart) {
+        yield uncachedPart
+        uncachedPart = null
+      }
+      let value = getValue(bins[index])
+      if (isValidValue(value)) {
+        yield { start: bins[index].start, end: bins[index].end, value: value }
+      }
+    }
+    if (uncachedPart) {
+      yield uncachedPart
+    }
+  }
+
+  /**
+   * Split a range into bins aligned to the resolution (the first and the
+   *    last bins may be shorter if the range is not aligned).
+   *
+   * @static
+   * @param {ChromRegion} chrRange - the range
+   * @param {number} resolution - the resolution
+   * @returns {Array<ChromRegion>} the bins
+   */
+  static _createBins (chrRange, resolution) {
+    let bins = []
+    let start = chrRange.start
+    while (start < chrRange.end) {
+      let end = Math.min(chrRange.end,
+        (Math.floor(start / resolution) + 1) * resolution)
+      bins.push(new ChromRegion({ chr: chrRange.chr, start: start, end: end }))
+      start = end
+    }
+    return bins
+  }
+
+  /**
+   * Get the whole range of a tree (at resolution `1`) for insertion.
+   *
+   * @static
+   * @param {PineTree} tree - the tree
+   * @returns {ChromRegion} the range
+   */
+  static _getTreeRange (tree) {
+    let treeRange = new ChromRegion({
+      chr: tree.chr,
+      start: tree._root.start,
+      end: tree._root.end
+    })
+    treeRange.resolution = 1
+    return treeRange
+  }
+
+  /**
+   * Create a data entry.
+   *
+   * @static
+   * @param {string} chr - the chromosome
+   * @param {number} start - the start coordinate (0-based)
+   * @param {number} end - the end coordinate (0-based, exclusive)
+   * @param {number} value - the value
+   * @returns {ChromRegion} the data entry
+   */
+  static _createEntry (chr, start, end, value) {
+    let entry = new ChromRegion({ chr: chr, start: start, end: end })
+    entry.data = { value: value }
+    return entry
+  }
+
+  /**
+   * Whether a (trimmed) line should be skipped, *i.e.* empty lines, comments
+   *    and `track` or `browser` lines.
+   *
+   * @static
+   * @param {string} line - the line
+   * @returns {boolean} `true` if the line should be skipped
+   */
+  static _isSkippedLine (line) {
+    return !line || line.startsWith('#') || /^(track|browser)(\s|$)/.test(line)
+  }
+
+  /**
+   * Parse a number in a line, throw an error if it's not a valid number.
+   *
+   * @static
+   * @param {string} field - the text of the number
+   * @param {function} parseFunc - `parseInt` or `parseFloat`
+   * @param {number} lineNumber - the line number, used in the error message
+   * @returns {number} the number
+   */
+  static _parseNumber (field, parseFunc, lineNumber) {
+    let number = parseFunc(field)
+    if (isNaN(number)) {
+      throw new Error('Invalid number in ' + this.name + ' line ' +
+        lineNumber + ': ' + field)
+    }
+    return number
+  }
+}
+
+module.exports = SignalFormat
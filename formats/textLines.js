@@ -0,0 +1,62 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module TextLines
+ */
+
+/* global TextDecoder */
+// A global in browsers and Node.js 11+, provided by `util` in Node.js 10
+const TextDecoderCtor = typeof TextDecoder === 'function'
+  ? TextDecoder : require('util').TextDecoder
+
+/**
+ * Read text lines from a source, line breaks (`'\n'` or `'\r\n'`) are
+ *    removed.
+ *
+ * @async
+ * @generator
+ * @param {string|ArrayBuffer|ArrayBufferView|Iterable|AsyncIterable} source
+ *    - the text, or chunks of the text (either strings or bytes in UTF-8),
+ *    Node.js `Readable` streams (without encoding or with `'utf8'`) can be
+ *    used directly.
+ * @yields {string} the lines
+ */
+async function * readLines (source) {
+  if (typeof source === 'string') {
+    yield * source.split(/\r?\n/)
+    return
+  }
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+    source = [source]
+  }
+  let decoder = new TextDecoderCtor()
+  let remainder = ''
+  for await (let chunk of source) {
+    remainder += typeof chunk === 'string'
+      ? chunk : decoder.decode(chunk, { stream: true })
+    let lines = remainder.split(/\r?\n/)
+    remainder = lines.pop()
+    yield * lines
+  }
+  remainder += decoder.decode()
+  if (remainder) {
+    yield remainder
+  }
+}
+
+module.exports = {
+  readLines: readLines
+}
@@ -0,0 +1,117 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module Wiggle
+ */
+
+const SignalFormat = require('./signalFormat')
+const readLines = require('./textLines').readLines
+
+/**
+ * The WIG (wiggle) format, see
+ *    https://genome.ucsc.edu/goldenPath/help/wiggle.html.
+ *
+ * Both `variableStep` and `fixedStep` sections are supported, coordinates in
+ *    WIG files are 1-based and will be converted to 0-based.
+ *
+ * Data are exported as `fixedStep` sections, a new section is started
+ *    whenever the records are not contiguous or have a different length.
+ *
+ * @class
+ * @alias module:Wiggle
+ * @extends SignalFormat
+ */
+class Wiggle extends SignalFormat {
+  static async * parse (source) {
+    let lineNumber = 0
+    let section = null
+    for await (let line of readLines(source)) {
+      lineNumber++
+      line = line.trim()
+      if (this._isSkippedLine(line)) {
+        continue
+      }
+      let fields = line.split(/\s+/)
+      if (fields[0] === 'variableStep' || fields[0] === 'fixedStep') {
+        section = this._parseDeclaration(fields, lineNumber)
+      } else if (!section) {
+        throw new Error('WIG data line ' + lineNumber +
+          ' appears before any declaration line: ' + line)
+      } else if (section.type === 'variableStep') {
+        let start = this._parseNumber(fields[0], parseInt, lineNumber) - 1
+        yield this._createEntry(section.chrom, start, start + section.span,
+          this._parseNumber(fields[1], parseFloat, lineNumber))
+      } else {
+        yield this._createEntry(section.chrom, section.start,
+          section.start + section.span,
+          this._parseNumber(fields[0], parseFloat, lineNumber))
+        section.start += section.step
+      }
+    }
+  }
+
+  static * _formatRecords (chr, records, props) {
+    let nextStart = null
+    let span = null
+    for (let record of records) {
+      if (record.uncached) {
+        nextStart = null
+        if (props.flagGaps) {
+          yield this._formatGap(chr, record)
+        }
+        continue
+      }
+      if (record.start !== nextStart || record.end - record.start !== span) {
+        span = record.end - record.start
+        yield 'fixedStep chrom=' + chr + ' start=' + (record.start + 1) +
+          ' step=' + span + ' span=' + span
+      }
+      yield String(record.value)
+      nextStart = record.end
+    }
+  }
+
+  /**
+   * Parse a declaration line (`variableStep` or `fixedStep`).
+   *
+   * @static
+   * @param {Array<string>} fields - fields of the line
+   * @param {number} lineNumber - the line number, used in error messages
+   * @returns {Object} the section, with `.type`, `.chrom`, `.span`, and
+   *    `.start` (0-based) and `.step` for `fixedStep`.
+   */
+  static _parseDeclaration (fields, lineNumber) {
+    let section = { type: fields[0], span: 1 }
+    fields.slice(1).forEach(field => {
+      let [key, value] = field.split('=')
+      section[key] = key === 'chrom'
+        ? value : this._parseNumber(value, parseInt, lineNumber)
+    })
+    if (!section.chrom) {
+      throw new Error('No chromosome in WIG declaration line ' + lineNumber)
+    }
+    if (section.type === 'fixedStep') {
+      if (isNaN(section.start) || isNaN(section.step)) {
+        throw new Error('No start or step in WIG fixedStep declaration ' +
+          'line ' + lineNumber)
+      }
+      section.start--
+    }
+    return section
+  }
+}
+
+module.exports = Wiggle
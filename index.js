@@ -24,5 +24,21 @@ module.exports = {
   PineNode: require('./pineNode'),
 
   // Tree
-  PineTree: require('./pineTree')
+  PineTree: require('./pineTree'),
+
+  // Summaries
+  SummaryBase: require('./summaries/summaryBase'),
+  CountSummary: require('./summaries/countSummary'),
+  SumSummary: require('./summaries/sumSummary'),
+  MeanSummary: require('./summaries/meanSummary'),
+  MinMaxSummary: require('./summaries/minMaxSummary'),
+  VarianceSummary: require('./summaries/varianceSummary'),
+  HistogramSummary: require('./summaries/histogramSummary'),
+  CompositeSummary: require('./summaries/compositeSummary'),
+
+  // Formats
+  SignalFormat: require('./formats/signalFormat'),
+  BedGraph: require('./formats/bedGraph'),
+  Wiggle: require('./formats/wiggle'),
+  BigWig: require('./formats/bigWig')
 }
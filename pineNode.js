@@ -19,6 +19,7 @@
 
 const GiveTreeNS = require('@givengine/give-tree')
 const ChromRegion = require('@givengine/chrom-region')
+const BinarySnapshot = require('./binarySnapshot')
 
 const log4js = require('@log4js-node/log4js-api')
 const logger = log4js.getLogger('givengine')
@@ -45,9 +46,23 @@ const logger = log4js.getLogger('givengine')
  *    leaf nodes of the pine tree.
  *    For example, if `this.tree.leafScalingFactor === 100`, each leaf node
  *    (`DataNode`) shall cover 100bp.
+ * @property {Array<number>} [tree.resolutions] - Custom resolutions of the
+ *    pine tree, if provided, resolutions of nodes will follow this instead
+ *    of the scaling factors. See `PineTree` for details.
  * @property {function|null} tree._SummaryCtor - The constructor for a data
- *    summary.
+ *    summary. See `SummaryBase` for the members it needs to implement.
  * @property {Object|null} _summary - The data summary for this node.
+ * @property {boolean|null} _cached - Whether all data within this node is
+ *    cached (see `this.isCached`), `null` if unknown. This is reset whenever
+ *    the node or its children are changed.
+ * @property {number} _entryCount - The number of data entries stored in the
+ *    leaf nodes (`DataNode`s) of this node, only maintained for nodes with
+ *    `reverseDepth === 0`. Nodes with data entries are tracked by the tree
+ *    (see `tree._setEntryCount`) to find least recently used ones.
+ * @property {Object|null} _binaryChildren - Children of this node that are
+ *    not restored yet from a binary snapshot (see `this._fromBinary`), they
+ *    will be restored when `this` is walked into (see
+ *    `this._restoreChildren`). Until then, `this.values` are all `null`.
  *
  * @class
  * @alias module:PineNode
@@ -69,6 +84,14 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
     //    factors.
     if (this.end - this.start <= this.tree.leafScalingFactor) {
       this.reverseDepth = 0
+    } else if (Array.isArray(this.tree.resolutions)) {
+      // Custom resolutions: find the first one that can cover `this`
+      this.reverseDepth = 1
+      while (this._getResolutionAtDepth(this.reverseDepth) <
+        this.end - this.start
+      ) {
+        this.reverseDepth++
+      }
     } else {
       this.reverseDepth = Math.ceil(
         (Math.log(this.end - this.start) -
@@ -77,6 +100,9 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
     }
 
     this._summary = null
+    this._cached = null
+    this._entryCount = 0
+    this._binaryChildren = null
   }
 
   get hasData () {
@@ -86,12 +112,55 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
   /**
    * Whether the data of the child node is there
    *
+   *    Non-leaf children without summaries are considered to have data if
+   *    all their data is cached at finer resolutions (see
+   *    `this.isCached`).
+   *
    * @param  {number} index - index of the child node
    * @returns {boolean} - `true` if the data is ready, `false` if not.
    */
   childHasData (index) {
     return this.values[index] === false ||
-      (this.values[index] !== null && this.values[index].hasData)
+      (this.values[index] !== null && (this.reverseDepth > 0
+        ? this.values[index].isCached() : this.values[index].hasData))
+  }
+
+  /**
+   * Whether all data within `this` is cached, either as the summary of
+   *    `this` or within its children at finer resolutions.
+   *
+   *    If the summary is missing but all children are cached, the summary
+   *    will be built from the children on demand, so that no data needs to
+   *    be fetched again.
+   *
+   *    The result is kept in `this._cached` until `this` or its children are
+   *    changed, so the children are only checked again after that. Children
+   *    not restored from a binary snapshot yet are checked in the snapshot
+   *    first, and only restored if all of them are cached so that the
+   *    summary can be built from them.
+   *
+   * @returns {boolean} - `true` if all data is cached, `false` if not.
+   */
+  isCached () {
+    if (this.hasData) {
+      return true
+    }
+    if (this._cached === null) {
+      if (this._binaryChildren &&
+        !this.constructor._areBinaryChildrenCached(this._binaryChildren)
+      ) {
+        // No need to restore the children, nothing can be built from them
+        this._cached = false
+      } else {
+        this._restoreChildren()
+        this._cached = this.values.every(
+          (nodeEntry, index) => this.childHasData(index))
+        if (this._cached) {
+          this.updateSummary()
+        }
+      }
+    }
+    return this._cached
   }
 
   /**
@@ -103,6 +172,15 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
    *    1 is the smallest (finest)
    */
   _getResolutionAtDepth (revDepth) {
+    if (Array.isArray(this.tree.resolutions)) {
+      // Custom resolutions, scale the coarsest one if the node is even
+      //    coarser
+      let resolutions = this.tree.resolutions
+      return revDepth + 1 < resolutions.length
+        ? resolutions[revDepth + 1]
+        : resolutions[resolutions.length - 1] *
+          this.tree.scalingFactor ** (revDepth + 2 - resolutions.length)
+    }
     return parseInt(Math.floor(this.tree.scalingFactor ** revDepth *
       this.tree.leafScalingFactor))
   }
@@ -184,6 +262,15 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
    *    to `requiredRes`.
    */
   _getClosestResolution (requiredRes) {
+    if (Array.isArray(this.tree.resolutions)) {
+      let revDepth = -1
+      while (revDepth < this.reverseDepth &&
+        this._getResolutionAtDepth(revDepth + 1) <= requiredRes
+      ) {
+        revDepth++
+      }
+      return revDepth >= 0 ? this._getResolutionAtDepth(revDepth) : 1
+    }
     if (requiredRes >= this.tree.leafScalingFactor) {
       return parseInt(Math.floor(this.tree.scalingFactor **
         Math.floor((Math.log(requiredRes / this.tree.leafScalingFactor)) /
@@ -220,6 +307,57 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
     return parseInt(roundingFunc(value / resolution) * resolution)
   }
 
+  /**
+   * Check whether a summary constructor implements all the members listed
+   *    in `this._SUMMARY_INTERFACE`.
+   *
+   * @static
+   * @param  {function} SummaryCtor - the summary constructor to check
+   * @throws {Error} if `SummaryCtor` is not a function or any member is
+   *    missing.
+   */
+  static _validateSummaryCtor (SummaryCtor) {
+    if (typeof SummaryCtor !== 'function') {
+      throw new Error('`_SummaryCtor` is not a constructor: ' + SummaryCtor +
+        '. Summary data cannot be handled without a valid `_SummaryCtor`.')
+    }
+    let missingMembers = this._SUMMARY_INTERFACE.static.filter(
+      key => typeof SummaryCtor[key] !== 'function'
+    ).map(key => 'static `' + key + '()`').concat(
+      this._SUMMARY_INTERFACE.prototype.filter(
+        key => typeof SummaryCtor.prototype[key] !== 'function'
+      ).map(key => '`prototype.' + key + '()`')
+    )
+    if (missingMembers.length) {
+      throw new Error('`_SummaryCtor` (' + SummaryCtor.name +
+        ') does not implement ' + missingMembers.join(', ') + '.')
+    }
+  }
+
+  /**
+   * Attach a summary to a `ChromRegion` object covering `this`.
+   *
+   *    The `ChromRegion` object will also be tagged with the resolution of
+   *    `this` as its `.resolution` property.
+   *
+   * @param  {_SummaryCtor} summary - the summary to be attached
+   * @param  {ChromRegion} [chrRegion] - the `ChromRegion` object providing
+   *    other properties of the summary entry. It will be copied instead of
+   *    modified. A new one covering `this` will be created if not provided.
+   * @returns {ChromRegion} the `ChromRegion` object with the summary
+   */
+  _attachSummary (summary, chrRegion) {
+    chrRegion = summary.attach(chrRegion
+      ? this.constructor._copyEntry(chrRegion)
+      : new ChromRegion({
+        chr: this.tree.chr,
+        start: this.start,
+        end: this.end
+      }))
+    chrRegion.resolution = this.resolution
+    return chrRegion
+  }
+
   /**
    * Update the summary data within this node
    *
@@ -235,8 +373,10 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
       }
       if (newSummary instanceof this.tree._SummaryCtor) {
         // summary provided, just replace
+        // (attach it so that `chromEntry.data` is the summary object even if
+        //    it was extracted from plain data)
         this._summary = newSummary
-        this._summaryChromRegion = chromEntry
+        this._summaryChromRegion = this._attachSummary(newSummary, chromEntry)
       } else if (!this.summary) {
         if (newSummary) {
           // newSummary is something with wrong type
@@ -244,6 +384,10 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
             'type. Will be regenerated from tree data.')
         }
         newSummary = new this.tree._SummaryCtor()
+        // Entries continued from before `this` are only visited in the first
+        //    leaf node, those continued within `this` are visited where they
+        //    start.
+        let notFirstCall = false
         if (this.values.every((nodeEntry, index) => {
           if (nodeEntry === false) {
             // Child is zero, just return true
@@ -258,18 +402,13 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
           } else {
             nodeEntry.traverse(null, chromEntryInDataNode =>
               newSummary.addDataFromChromEntry(this, chromEntryInDataNode),
-            null, false, { notFirstCall: true })
+            null, false, { notFirstCall: notFirstCall })
+            notFirstCall = true
           }
           return true
         })) {
           this._summary = newSummary
-          this._summaryChromRegion = this.summary.attach(
-            new ChromRegion({
-              chr: this.tree.chr,
-              start: this.start,
-              end: this.end
-            })
-          )
+          this._summaryChromRegion = this._attachSummary(this.summary)
         } else {
           this._summary = this._summary || null
           delete this._summaryChromRegion
@@ -279,6 +418,30 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
     return true
   }
 
+  /**
+   * Invalidate the summary of this node after its children have been
+   *    changed. The summary will be rebuilt from the children, or dropped if
+   *    the children cannot support it.
+   *
+   * @param  {boolean} [keepUnsupported] - keep the current summary if it
+   *    cannot be rebuilt from the children. This is used when data is being
+   *    added so that summaries provided by the data source will not be lost
+   *    because the children are only partially cached.
+   * @returns {boolean} - return `true` if `this` still has a summary.
+   */
+  invalidateSummary (keepUnsupported) {
+    let oldSummary = this._summary
+    let oldSummaryChromRegion = this._summaryChromRegion
+    this._summary = null
+    delete this._summaryChromRegion
+    this.updateSummary()
+    if (!this.summary && keepUnsupported && oldSummary) {
+      this._summary = oldSummary
+      this._summaryChromRegion = oldSummaryChromRegion
+    }
+    return this.hasData
+  }
+
   /**
    * The summary data of `this`, or `null`
    *
@@ -311,7 +474,8 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
    *    entries may not work properly.
    *
    *    After insertion, any entry within `data` that overlaps `chrRange`
-   *    will be deleted from the array.
+   *    will be deleted from the array, unless `props.dataIndex` is
+   *    provided.
    * @param {ChromRegion} chrRange - the chromosomal range that
    *    `data` corresponds to.
    *
@@ -336,12 +500,22 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
    *    `chrRange.resolution` if both exist.
    * @param {function} [props.LeafNodeCtor] - the constructor function of
    *    leaf nodes if they are not the same as the non-leaf nodes.
+   * @param {number} [props.dataIndex] - the index of the first unprocessed
+   *    entry in `data`. If this is specified, no entry will be deleted from
+   *    `data` and `props.dataIndex` will be moved past all processed
+   *    entries instead. Otherwise, processed entries will be deleted at once
+   *    after the insertion, so the insertion takes linear time.
    * @returns {GiveNonLeafNode|boolean}
    *    This shall reflect whether auto-balancing is supported for the tree.
    *    See `GiveNonLeafNode.prototype.restructure` for details.
    */
   insert (data, chrRange, props) {
     props = props || {}
+    // Child nodes share the cursor of the outermost call
+    let isOutermostCall = typeof props.dataIndex !== 'number'
+    if (isOutermostCall) {
+      props.dataIndex = 0
+    }
     if (data && data.length === 1 && !chrRange) {
       chrRange = data[0]
     }
@@ -353,6 +527,9 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
 
     if (chrRange) {
       let resolution = chrRange.resolution || props.resolution || 1
+      this._restoreChildren()
+      this.tree._recordAccess(this)
+      this._cached = null
       // clip chrRegion first (should never happen)
       chrRange = this.truncateChrRange(chrRange, true, true)
       // First, if this 'insertion' is just updating the summary data of
@@ -366,41 +543,59 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
         // check whether the data summary matches the node boundary
         // because data retrieval may be out of sync, redundant data will need
         //    to be discarded
-        while (data.length && this.start > data[0].start) {
-          data.splice(0, 1)
+        while (props.dataIndex < data.length &&
+          this.start > data[props.dataIndex].start
+        ) {
+          props.dataIndex++
         }
-        if (data.length) {
-          if (this.start !== data[0].start || this.end !== data[0].end) {
+        if (props.dataIndex < data.length) {
+          let dataEntry = data[props.dataIndex]
+          if (this.start !== dataEntry.start || this.end !== dataEntry.end) {
             if (!(this.hasData)) {
-              if (this.end <= data[0].start) {
-                this.updateSummary(new this.tree._SummaryCtor())
+              if (this.end <= dataEntry.start) {
+                // No data in `this` at this resolution, use an empty summary
+                this.constructor._validateSummaryCtor(this.tree._SummaryCtor)
+                this.updateSummary(
+                  this._attachSummary(new this.tree._SummaryCtor()))
               } else {
                 throw new Error('Summary range does not match! ' +
                   '`this`: ' + this.start + ' - ' + this.end + '; data: ' +
-                  data[0].start + ' - ' + data[0].end
+                  dataEntry.start + ' - ' + dataEntry.end
                 )
               }
             }
           } else {
             // ***** This should fit Summary definition *****
-            this.updateSummary(data[0])
+            this.updateSummary(dataEntry)
             if (typeof props.callback === 'function') {
-              props.callback(data[0])
+              props.callback(dataEntry)
             }
-            data.splice(0, 1)
+            props.dataIndex++
           }
         }
-      } else if (this.reverseDepth > 0) {
-        // case 2
-        this._addNonLeafRecords(data, chrRange, props)
+        this.updateSummary()
       } else {
-        // case 1
-        this._addLeafRecords(data, chrRange, props)
+        if (this.reverseDepth > 0) {
+          // case 2
+          this._addNonLeafRecords(data, chrRange, props)
+        } else {
+          // case 1
+          this._addLeafRecords(data, chrRange, props)
+          this._updateEntryCount()
+        }
+        // Children have been changed, refresh the summary
+        this.invalidateSummary(true)
       }
-      this.updateSummary()
     } else { // chrRange
       throw (new Error(chrRange + ' is not a valid chrRegion.'))
     } // end if(chrRange)
+    if (isOutermostCall) {
+      // Remove all processed data from `data`
+      if (Array.isArray(data)) {
+        data.splice(0, props.dataIndex)
+      }
+      delete props.dataIndex
+    }
     return this.restructure()
   }
 
@@ -468,7 +663,8 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
       //    `DataNode`
       let fixChildFlag = false
 
-      if ((data[0] && data[0].start < childRange.end) ||
+      if ((props.dataIndex < data.length &&
+        data[props.dataIndex].start < childRange.end) ||
         (Array.isArray(props.continuedList) &&
           props.continuedList.some(entry => entry.end > childRange.start)) ||
         (chrRange.start > childRange.start || chrRange.end < childRange.end)
@@ -493,6 +689,9 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
       if (fixChildFlag) {
         // otherwise, use `false` to fill the dedicated range and merge with
         // previous `false`s if possible.
+        if (this.values[currIndex]) {
+          this.values[currIndex]._untrack()
+        }
         this.values[currIndex] = false
         if (this._mergeChild(currIndex, true, false)) {
           currIndex--
@@ -510,8 +709,11 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
 
     // Find the range of child that rangeStart is in
     let currIndex = 0
-    props.dataIndex = 0
-    let prevDataIndex
+    // Entries before this in `data` have been put into `continuedList`
+    let processedIndex = props.dataIndex
+    // `props.continuedList` may be kept by leaf nodes, so it is copied
+    //    instead of being modified in place unless it is created here
+    let ownsContinuedList = false
     props.continuedList = props.continuedList || []
     if (!(GiveTreeNS.GiveTreeNode.prototype.isPrototypeOf(
       props.LeafNodeCtor.prototype
@@ -545,12 +747,13 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
         currIndex++
       }
       // First get data that should belong to continuedList done.
-      prevDataIndex = props.dataIndex
       props.dataIndex = this.constructor._traverseData(data, props.dataIndex,
         dataEntry => dataEntry.start < chrRange.start, props.callback)
-      props.continuedList = props.continuedList.concat(
-        data.slice(prevDataIndex, props.dataIndex)
-      ).filter(entry => entry.end > chrRange.start)
+      props.continuedList = this.constructor._updateContinuedList(
+        props.continuedList, data, processedIndex, props.dataIndex,
+        chrRange.start, ownsContinuedList)
+      ownsContinuedList = true
+      processedIndex = props.dataIndex
 
       // Now all data entries with `.start` before `nextRangeStart` should
       // be already in `props.continuedList`
@@ -571,14 +774,21 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
           start: this.keys[currIndex]
         })
         this.values[currIndex].insert(data, chrRange, props)
+        // The leaf node has put its entries into `props.continuedList`
+        ownsContinuedList = false
+        processedIndex = props.dataIndex
       } else if (this.keys[currIndex] < chrRange.end) {
         // needs to fill the element with `false`, and merge with previous if
         // possible
-        this.values[currIndex] = props.continuedList.length <= 0
-          ? false : new props.LeafNodeCtor({
+        if (props.continuedList.length <= 0) {
+          this.values[currIndex] = false
+        } else {
+          this.values[currIndex] = new props.LeafNodeCtor({
             start: this.keys[currIndex],
-            continuedList: props.continuedList.slice()
+            continuedList: props.continuedList
           })
+          ownsContinuedList = false
+        }
         if (this._mergeChild(currIndex, false, false)) {
           currIndex--
         }
@@ -592,17 +802,51 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
     }
 
     // Process `props.continuedList` for one last time
-    props.continuedList = props.continuedList.concat(
-      data.slice(prevDataIndex, props.dataIndex)
-    ).filter(entry => entry.end > chrRange.end)
+    props.continuedList = this.constructor._updateContinuedList(
+      props.continuedList, data, processedIndex, props.dataIndex,
+      chrRange.end, ownsContinuedList)
+  }
 
-    // Remove all processed data from `data`
-    data.splice(0, props.dataIndex)
-    delete props.dataIndex
+  /**
+   * Add newly passed data entries to a `continuedList` and drop the entries
+   *    ending before a coordinate, in a single pass.
+   *
+   * @static
+   * @param  {Array<ChromRegion>} continuedList - the current list
+   * @param  {Array<ChromRegion>} data - the data being inserted
+   * @param  {number} startIndex - index of the first newly passed entry in
+   *    `data`
+   * @param  {number} endIndex - index after the last newly passed entry in
+   *    `data`
+   * @param  {number} coordinate - entries ending at or before this will be
+   *    dropped.
+   * @param  {boolean} [inPlace] - whether `continuedList` can be modified in
+   *    place, otherwise a new array will be created (as leaf nodes may keep
+   *    the list passed to them).
+   * @returns {Array<ChromRegion>} the updated list
+   */
+  static _updateContinuedList (
+    continuedList, data, startIndex, endIndex, coordinate, inPlace
+  ) {
+    let result = inPlace ? continuedList : []
+    let length = 0
+    for (let index = 0; index < continuedList.length; index++) {
+      if (continuedList[index].end > coordinate) {
+        result[length++] = continuedList[index]
+      }
+    }
+    result.length = length
+    for (let index = startIndex; index < endIndex; index++) {
+      if (data[index].end > coordinate) {
+        result.push(data[index])
+      }
+    }
+    return result
   }
 
   remove (data, exactMatch, convertTo, props) {
     props = props || {}
+    this._restoreChildren()
     // Check whether `this` shall be removed
     if (this.start === data.start && this.end === data.end) {
       if (!exactMatch || this.constructor._compareData(data, this)) {
@@ -617,6 +861,7 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
 
     // data being remove is not self
     // locate the child entry first
+    this._cached = null
     let i = 0
     while (i < this.values.length && this.keys[i + 1] <= data.start) {
       i++
@@ -624,9 +869,18 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
     if (this.values[i]) {
       // data must fall within `this.values[i]`
       if (!this.values[i].remove(data, exactMatch, convertTo, props)) {
+        if (this.reverseDepth > 0) {
+          this.values[i]._untrack()
+        }
         this.values[i] = convertTo
         this._mergeChild(i, true, false)
       }
+      if (this.reverseDepth <= 0) {
+        this._updateEntryCount()
+      }
+      // Children have been changed, summaries of `this` (and all ancestors,
+      //    as they will do the same when this call returns) are outdated.
+      this.invalidateSummary()
     } else {
       logger.warn('Data ' + data + ' is not found in the tree.')
     }
@@ -635,6 +889,609 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
     )) ? this : false
   }
 
+  /**
+   * Clear all children and the summary of `this`. Ranges within `this`
+   *    will no longer be marked as being loaded (see
+   *    `PineTree.prototype.markPending`).
+   *
+   * @param  {null|boolean} [convertTo] - the value to fill the cleared node
+   *    with.
+   */
+  clear (convertTo) {
+    this._untrack()
+    this.tree._releasePending(this, Infinity)
+    let result = super.clear(...arguments)
+    this._summary = null
+    this._cached = null
+    delete this._summaryChromRegion
+    return result
+  }
+
+  /**
+   * Update `this._entryCount` by counting the data entries in the leaf
+   *    nodes. Only nodes with `reverseDepth === 0` have leaf nodes.
+   */
+  _updateEntryCount () {
+    let entryCount = 0
+    this.values.forEach(nodeEntry => {
+      if (nodeEntry) {
+        nodeEntry.traverse(null, () => entryCount++,
+          null, false, { notFirstCall: true })
+      }
+    })
+    this.tree._setEntryCount(this, entryCount)
+  }
+
+  /**
+   * Stop tracking the data entries under `this` in the tree before they are
+   *    dropped, so that the number of cached entries is kept correct.
+   */
+  _untrack () {
+    if (this.reverseDepth <= 0) {
+      this.tree._setEntryCount(this, 0)
+    } else {
+      this.values.forEach(nodeEntry => {
+        if (nodeEntry) {
+          nodeEntry._untrack()
+        }
+      })
+    }
+  }
+
+  /**
+   * Collect statistics of `this` and all its children, see
+   *    `PineTree.prototype.getStats` for the properties of `stats`.
+   *
+   * @param  {Object} stats - the statistics object to add to.
+   * @returns {Object} `stats`
+   */
+  _collectStats (stats) {
+    let addCachedLength = (resolution, length) => {
+      stats.cachedLength[resolution] =
+        (stats.cachedLength[resolution] || 0) + length
+    }
+    stats.nodeCounts[this.reverseDepth] =
+      (stats.nodeCounts[this.reverseDepth] || 0) + 1
+    stats.keyCount += this.keys.length
+    if (this.hasData) {
+      stats.summaryNodeCount++
+      addCachedLength(this.resolution, this.end - this.start)
+    }
+    this.values.forEach((nodeEntry, index) => {
+      let length = this.keys[index + 1] - this.keys[index]
+      if (nodeEntry === false) {
+        addCachedLength(this.getChildResolution(index), length)
+      } else if (nodeEntry) {
+        if (this.reverseDepth > 0) {
+          nodeEntry._collectStats(stats)
+        } else {
+          stats.leafNodeCount++
+          addCachedLength(1, length)
+        }
+      }
+    })
+    if (this.reverseDepth <= 0) {
+      stats.entryCount += this._entryCount
+    }
+    return stats
+  }
+
+  /**
+   * Get the JSON representation of `this` and all its children. Used by
+   *    `PineTree.prototype.toJSON`.
+   *
+   *    Raw data entries are not included in the representation, but stored
+   *    in `entryTable` (so entries shared by different leaf nodes will only
+   *    be stored once) and referenced by their indices.
+   *
+   * @param  {Object} entryTable - the table of raw data entries
+   * @param  {Array<ChromRegion>} entryTable.entries - all entries
+   * @param  {Map<ChromRegion, number>} entryTable.indices - indices of the
+   *    entries in `entryTable.entries`
+   * @returns {Object} the JSON representation, with `keys`, `values` and
+   *    `summary`. Leaf nodes in `values` are represented by the indices of
+   *    entries starting in the leaf (`startList`) and those continued from
+   *    previous leaves (`continuedList`).
+   */
+  _toJSON (entryTable) {
+    this._restoreChildren()
+    return {
+      keys: this.keys.slice(),
+      values: this.values.map(nodeEntry => {
+        if (!nodeEntry) {
+          return nodeEntry
+        }
+        if (this.reverseDepth > 0) {
+          return nodeEntry._toJSON(entryTable)
+        }
+        let leafLists = this.constructor._getLeafEntryLists(nodeEntry)
+        return {
+          startList: leafLists.startList.map(
+            entry => this.constructor._getEntryIndex(entryTable, entry)),
+          continuedList: leafLists.continuedList.map(
+            entry => this.constructor._getEntryIndex(entryTable, entry))
+        }
+      }),
+      summary: this.summary
+        ? (typeof this.summary.toJSON === 'function'
+          ? this.summary.toJSON() : this.summary)
+        : null
+    }
+  }
+
+  /**
+   * Get the index of a raw data entry in the entry table of a snapshot, the
+   *    entry will be added to the table if it's not there yet.
+   *
+   * @static
+   * @param  {Object} entryTable - the table of raw data entries, see
+   *    `this.prototype._toJSON`
+   * @param  {ChromRegion} entry - the entry
+   * @returns {number} the index of the entry
+   */
+  static _getEntryIndex (entryTable, entry) {
+    if (!entryTable.indices.has(entry)) {
+      entryTable.indices.set(entry, entryTable.entries.length)
+      entryTable.entries.push(entry)
+    }
+    return entryTable.indices.get(entry)
+  }
+
+  /**
+   * Get the raw data entries stored in a leaf node.
+   *
+   * @static
+   * @param  {GiveTreeNode} leafNode - the leaf node
+   * @returns {{startList: Array<ChromRegion>,
+   *    continuedList: Array<ChromRegion>}} entries starting in the leaf
+   *    (`startList`), and those continued from previous leaves
+   *    (`continuedList`).
+   */
+  static _getLeafEntryLists (leafNode) {
+    let startList = []
+    let continuedList = []
+    leafNode.traverse(null, entry => startList.push(entry),
+      null, false, { notFirstCall: true })
+    let startSet = new Set(startList)
+    leafNode.traverse(null, entry => {
+      if (!startSet.has(entry)) {
+        continuedList.push(entry)
+      }
+    }, null, false, {})
+    return { startList: startList, continuedList: continuedList }
+  }
+
+  /**
+   * Create a leaf node for the child at `index` from restored entries, the
+   *    same way as `this._addLeafRecords`.
+   *
+   * @param  {number} index - the index of the child
+   * @param  {Array<ChromRegion>} startList - entries starting in the child
+   * @param  {Array<ChromRegion>} continuedList - entries continued from
+   *    previous children
+   * @param  {function} LeafNodeCtor - the constructor of leaf nodes
+   * @returns {GiveTreeNode} the leaf node
+   */
+  _restoreLeaf (index, startList, continuedList, LeafNodeCtor) {
+    let leafNode = new LeafNodeCtor({ start: this.keys[index] })
+    leafNode.insert(startList, new ChromRegion({
+      chr: this.tree.chr,
+      start: this.keys[index],
+      end: this.keys[index + 1]
+    }), {
+      dataIndex: 0,
+      continuedList: continuedList,
+      LeafNodeCtor: LeafNodeCtor
+    })
+    return leafNode
+  }
+
+  /**
+   * Set a restored summary as the summary of `this`.
+   *
+   * @param  {SummaryBase} summary - the restored summary
+   */
+  _restoreSummary (summary) {
+    this._summary = summary
+    this._summaryChromRegion = this._attachSummary(summary)
+  }
+
+  /**
+   * Create a node (and all its children) from its JSON representation (see
+   *    `this.prototype._toJSON`). Used by `PineTree.fromJSON`.
+   *
+   * @static
+   * @param  {Object} json - the JSON representation
+   * @param  {Object} props - properties of the node
+   * @param  {GiveTree} props.tree - the tree the node belongs to
+   * @param  {boolean} [props.isRoot] - whether the node is the root
+   * @param  {Array<ChromRegion>} props.entries - all raw data entries, as in
+   *    `entryTable.entries` of `this.prototype._toJSON`
+   * @param  {function} props.LeafNodeCtor - the constructor of leaf nodes
+   * @returns {PineNode} the node
+   */
+  static _fromJSON (json, props) {
+    let node = new this({
+      isRoot: !!props.isRoot,
+      start: json.keys[0],
+      end: json.keys[json.keys.length - 1],
+      keys: json.keys.slice(),
+      values: json.values.map(() => null),
+      tree: props.tree
+    })
+    json.values.forEach((valueJSON, index) => {
+      if (!valueJSON) {
+        node.values[index] = valueJSON
+      } else if (node.reverseDepth > 0) {
+        node.values[index] = this._fromJSON(valueJSON,
+          Object.assign({}, props, { isRoot: false }))
+      } else {
+        node.values[index] = node._restoreLeaf(index,
+          valueJSON.startList.map(entryIndex => props.entries[entryIndex]),
+          valueJSON.continuedList.map(entryIndex => props.entries[entryIndex]),
+          props.LeafNodeCtor)
+      }
+    })
+    if (json.summary) {
+      let SummaryCtor = props.tree._SummaryCtor
+      node.constructor._validateSummaryCtor(SummaryCtor)
+      node._restoreSummary(typeof SummaryCtor.fromJSON === 'function'
+        ? SummaryCtor.fromJSON(json.summary)
+        : SummaryCtor.extract({ data: json.summary }))
+    }
+    if (node.reverseDepth <= 0) {
+      node._updateEntryCount()
+    }
+    return node
+  }
+
+  /**
+   * Write `this` and all its children into a binary snapshot. Used by
+   *    `PineTree.prototype.toBinary`, see `BinarySnapshot` for the format.
+   *
+   * @param  {SnapshotWriter} writer - the writer of the snapshot
+   * @param  {Object} entryTable - the table of raw data entries, see
+   *    `this._toJSON`
+   * @returns {number} the offset of the record of `this`
+   */
+  _writeBinary (writer, entryTable) {
+    const CHILD_TYPES = BinarySnapshot.CHILD_TYPES
+    const SUMMARY_ENCODINGS = BinarySnapshot.SUMMARY_ENCODINGS
+    this._restoreChildren()
+    let childTypes = []
+    let childOffsets = []
+    // Children are written before `this` so their offsets are known
+    this.values.forEach(nodeEntry => {
+      if (!nodeEntry) {
+        childTypes.push(nodeEntry === false
+          ? CHILD_TYPES.FALSE : CHILD_TYPES.NULL)
+        childOffsets.push(0)
+      } else if (this.reverseDepth > 0) {
+        childTypes.push(CHILD_TYPES.NODE)
+        childOffsets.push(nodeEntry._writeBinary(writer, entryTable))
+      } else {
+        let leafLists = this.constructor._getLeafEntryLists(nodeEntry)
+        writer.align(4)
+        childTypes.push(CHILD_TYPES.LEAF)
+        childOffsets.push(writer.offset)
+        writer.writeUint32(leafLists.startList.length)
+        writer.writeUint32(leafLists.continuedList.length)
+        writer.writeUint32Array(
+          leafLists.startList.concat(leafLists.continuedList).map(
+            entry => this.constructor._getEntryIndex(entryTable, entry)))
+      }
+    })
+
+    let summaryEncoding = SUMMARY_ENCODINGS.NONE
+    if (this.summary) {
+      summaryEncoding = (typeof this.summary.toBinary === 'function' &&
+        typeof this.tree._SummaryCtor.fromBinary === 'function')
+        ? SUMMARY_ENCODINGS.BINARY : SUMMARY_ENCODINGS.JSON
+    }
+
+    writer.align(4)
+    let offset = writer.offset
+    writer.writeUint32(this.keys.length)
+    writer.writeUint8(summaryEncoding)
+    writer.writeFloat64Array(this.keys)
+    writer.writeUint8Array(childTypes)
+    writer.writeUint32Array(childOffsets)
+    if (summaryEncoding === SUMMARY_ENCODINGS.BINARY) {
+      let summaryValues = this.summary.toBinary()
+      writer.writeUint32(summaryValues.length)
+      writer.writeFloat64Array(summaryValues)
+    } else if (summaryEncoding === SUMMARY_ENCODINGS.JSON) {
+      writer.writeString(JSON.stringify(
+        typeof this.summary.toJSON === 'function'
+          ? this.summary.toJSON() : this.summary))
+    }
+    return offset
+  }
+
+  /**
+   * Create a node from its record in a binary snapshot (see
+   *    `this.prototype._writeBinary`). Used by `PineTree.fromBinary`.
+   *
+   *    Only the keys and the summary of the node are restored here, its
+   *    children will be restored when `this` is walked into (see
+   *    `this.prototype._restoreChildren`).
+   *
+   * @static
+   * @param  {SnapshotReader} reader - the reader of the snapshot, at the
+   *    offset of the record
+   * @param  {Object} props - properties of the node
+   * @param  {GiveTree} props.tree - the tree the node belongs to
+   * @param  {boolean} [props.isRoot] - whether the node is the root
+   * @param  {function} props.getEntry - the function to get a raw data entry
+   *    by its index in the entry table of the snapshot
+   * @param  {function} props.LeafNodeCtor - the constructor of leaf nodes
+   * @returns {PineNode} the node
+   */
+  static _fromBinary (reader, props) {
+    const CHILD_TYPES = BinarySnapshot.CHILD_TYPES
+    const SUMMARY_ENCODINGS = BinarySnapshot.SUMMARY_ENCODINGS
+    let keyCount = reader.readUint32()
+    let summaryEncoding = reader.readUint8()
+    let keys = Array.from(reader.readFloat64Array(keyCount))
+    let childTypes = reader.readUint8Array(keyCount - 1)
+    let childOffsets = reader.readUint32Array(keyCount - 1)
+
+    let node = new this({
+      isRoot: !!props.isRoot,
+      start: keys[0],
+      end: keys[keys.length - 1],
+      keys: keys,
+      values: new Array(keyCount - 1).fill(null),
+      tree: props.tree
+    })
+    if (summaryEncoding !== SUMMARY_ENCODINGS.NONE) {
+      let SummaryCtor = props.tree._SummaryCtor
+      node.constructor._validateSummaryCtor(SummaryCtor)
+      if (summaryEncoding === SUMMARY_ENCODINGS.BINARY) {
+        let length = reader.readUint32()
+        node._restoreSummary(SummaryCtor.fromBinary(
+          reader.readFloat64Array(length)))
+      } else {
+        let summaryJSON = JSON.parse(reader.readString())
+        node._restoreSummary(typeof SummaryCtor.fromJSON === 'function'
+          ? SummaryCtor.fromJSON(summaryJSON)
+          : SummaryCtor.extract({ data: summaryJSON }))
+      }
+    }
+    if (childTypes.some(childType => childType !== CHILD_TYPES.NULL)) {
+      node._binaryChildren = {
+        reader: reader,
+        childTypes: childTypes,
+        childOffsets: childOffsets,
+        props: Object.assign({}, props, { isRoot: false })
+      }
+    }
+    return node
+  }
+
+  /**
+   * Restore the children of `this` from the binary snapshot if they are not
+   *    restored yet. This is called before walking into the children
+   *    (traversing, querying the caching status, inserting, etc.), while
+   *    bookkeeping (withering and statistics, for example) will skip
+   *    children that are not restored.
+   */
+  _restoreChildren () {
+    if (!this._binaryChildren) {
+      return
+    }
+    const CHILD_TYPES = BinarySnapshot.CHILD_TYPES
+    let binaryChildren = this._binaryChildren
+    let props = binaryChildren.props
+    this._binaryChildren = null
+    this.values = Array.from(binaryChildren.childTypes, (childType, index) => {
+      let reader = binaryChildren.reader.at(
+        binaryChildren.childOffsets[index])
+      switch (childType) {
+        case CHILD_TYPES.FALSE:
+          return false
+        case CHILD_TYPES.NODE:
+          return this.constructor._fromBinary(reader, props)
+        case CHILD_TYPES.LEAF: {
+          let startCount = reader.readUint32()
+          let continuedCount = reader.readUint32()
+          let entryIndices = reader.readUint32Array(
+            startCount + continuedCount)
+          return this._restoreLeaf(index,
+            Array.from(entryIndices.subarray(0, startCount), props.getEntry),
+            Array.from(entryIndices.subarray(startCount), props.getEntry),
+            props.LeafNodeCtor)
+        }
+        default:
+          return null
+      }
+    })
+    if (this.reverseDepth <= 0) {
+      this._updateEntryCount()
+    }
+  }
+
+  /**
+   * Check whether all children not restored from a binary snapshot yet are
+   *    cached (see `this.prototype.isCached`), without restoring them.
+   *
+   * @static
+   * @param  {Object} binaryChildren - the children not restored yet, see
+   *    `this._fromBinary`
+   * @returns {boolean} - `true` if all children are cached, `false` if not.
+   */
+  static _areBinaryChildrenCached (binaryChildren) {
+    const CHILD_TYPES = BinarySnapshot.CHILD_TYPES
+    return binaryChildren.childTypes.every((childType, index) =>
+      childType === CHILD_TYPES.FALSE || childType === CHILD_TYPES.LEAF ||
+      (childType === CHILD_TYPES.NODE && this._isRecordCached(
+        binaryChildren.reader.at(binaryChildren.childOffsets[index]))))
+  }
+
+  /**
+   * Check whether all data within the node of a record in a binary snapshot
+   *    (see `this.prototype._writeBinary`) is cached, either as its summary
+   *    or within its children, without restoring the node.
+   *
+   * @static
+   * @param  {SnapshotReader} reader - the reader of the snapshot, at the
+   *    offset of the record
+   * @returns {boolean} - `true` if all data is cached, `false` if not.
+   */
+  static _isRecordCached (reader) {
+    const SUMMARY_ENCODINGS = BinarySnapshot.SUMMARY_ENCODINGS
+    let keyCount = reader.readUint32()
+    if (reader.readUint8() !== SUMMARY_ENCODINGS.NONE) {
+      return true
+    }
+    reader.readFloat64Array(keyCount)
+    return this._areBinaryChildrenCached({
+      reader: reader,
+      childTypes: reader.readUint8Array(keyCount - 1),
+      childOffsets: reader.readUint32Array(keyCount - 1)
+    })
+  }
+
+  /**
+   * Drop all children not restored from a binary snapshot yet, keeping
+   *    ranges known to be empty. The children are not restored, so they are
+   *    not tracked by the tree and need no bookkeeping.
+   */
+  _dropBinaryChildren () {
+    const CHILD_TYPES = BinarySnapshot.CHILD_TYPES
+    this.values = Array.from(this._binaryChildren.childTypes,
+      childType => childType === CHILD_TYPES.FALSE ? false : null)
+    this._binaryChildren = null
+    for (let index = 0; index < this.values.length; index++) {
+      if (this._mergeChild(index, true, false)) {
+        index--
+      }
+    }
+    this._cached = null
+  }
+
+  /**
+   * Wither `this` by dropping all its children. The summary will be kept
+   *    (and built from the children first if possible), so that coarse
+   *    views are still available but finer data will be reported as
+   *    uncached.
+   *
+   * @returns {boolean} - return `true` if `this` still has a summary.
+   */
+  wither () {
+    this.collapse(this, this.resolution)
+    return this.hasData
+  }
+
+  /**
+   * Collapse the cached data within a range to a resolution: all children
+   *    (including leaf nodes) finer than `resolution` that are within
+   *    `chrRange` will be dropped, while summaries at or coarser than
+   *    `resolution` will be kept (and built from the children before
+   *    dropping them if possible).
+   *
+   * @param  {ChromRegion} chrRange - the range to collapse
+   * @param  {number} resolution - the finest resolution to keep
+   */
+  collapse (chrRange, resolution) {
+    if (this.resolution >= resolution) {
+      // Build the summary first so that it won't be lost
+      this.isCached()
+    }
+    if (this._binaryChildren && this.start >= chrRange.start &&
+      this.end <= chrRange.end && this.getChildResolution() < resolution
+    ) {
+      // All children are dropped, no need to restore them
+      this._dropBinaryChildren()
+      return
+    }
+    this._restoreChildren()
+    let droppedLeaves = false
+    let currIndex = 0
+    while (currIndex < this.values.length &&
+      this.keys[currIndex + 1] <= chrRange.start
+    ) {
+      currIndex++
+    }
+    while (currIndex < this.values.length &&
+      this.keys[currIndex] < chrRange.end
+    ) {
+      if (this.values[currIndex]) {
+        if (this.getChildResolution(currIndex) < resolution &&
+          this.keys[currIndex] >= chrRange.start &&
+          this.keys[currIndex + 1] <= chrRange.end
+        ) {
+          // The whole child is finer than needed, drop it
+          if (this.reverseDepth > 0) {
+            this.values[currIndex]._untrack()
+          } else {
+            droppedLeaves = true
+          }
+          this.values[currIndex] = null
+          if (this._mergeChild(currIndex, true, false)) {
+            currIndex--
+          }
+        } else if (this.reverseDepth > 0) {
+          this.values[currIndex].collapse(chrRange, resolution)
+        }
+      }
+      currIndex++
+    }
+    this._cached = null
+    if (droppedLeaves) {
+      this._updateEntryCount()
+    }
+  }
+
+  /**
+   * Drop everything cached within a range, including ranges cached as
+   *    empty, so that the range will be reported as uncached again. This is
+   *    used when an insertion fails halfway. Summaries of nodes covering
+   *    `chrRange` only partially will be kept.
+   *
+   * @param  {ChromRegion} chrRange - the range to discard
+   */
+  _discard (chrRange) {
+    this._restoreChildren()
+    let droppedLeaves = false
+    let currIndex = 0
+    while (currIndex < this.values.length &&
+      this.keys[currIndex + 1] <= chrRange.start
+    ) {
+      currIndex++
+    }
+    while (currIndex < this.values.length &&
+      this.keys[currIndex] < chrRange.end
+    ) {
+      if (this.keys[currIndex] >= chrRange.start &&
+        this.keys[currIndex + 1] <= chrRange.end
+      ) {
+        if (this.values[currIndex] !== null) {
+          if (this.values[currIndex] && this.reverseDepth > 0) {
+            this.values[currIndex]._untrack()
+          } else if (this.values[currIndex]) {
+            droppedLeaves = true
+          }
+          this.values[currIndex] = null
+          if (this._mergeChild(currIndex, true, false)) {
+            currIndex--
+          }
+        }
+      } else if (this.values[currIndex] && this.reverseDepth > 0) {
+        this.values[currIndex]._discard(chrRange)
+      }
+      currIndex++
+    }
+    if (this.start >= chrRange.start && this.end <= chrRange.end) {
+      this._summary = null
+      delete this._summaryChromRegion
+    }
+    this._cached = null
+    if (droppedLeaves) {
+      this._updateEntryCount()
+    }
+  }
+
   /**
    * Traverse all nodes / data entries within `this` and calling
    *    functions on them. Pine tree nodes need to implement resolution
@@ -662,32 +1519,236 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
    * @param  {number} [props.resolution] - the resolution required for this
    *    traverse. 1 is finest. This will be overridden by
    *    `chrRange.resolution` if both exist.
+   * @param  {boolean} [props.bestAvailable] - whether to fall back to the
+   *    closest cached resolution for ranges that do not have data at the
+   *    required resolution. Finer data will be used if available, otherwise
+   *    the closest coarser summary (clipped to the range without data) will
+   *    be used. Every entry will be tagged with the resolution it actually
+   *    represents as its `.resolution` property (raw data entries without
+   *    `.resolution` will be replaced by copies tagged with `1`, so that the
+   *    cached entries are not modified).
    * @returns {boolean} - whether future traverses should be conducted.
    */
   traverse (chrRange, callback, filter, breakOnFalse, props, ...args) {
     if (chrRange) {
-      let resolution = chrRange.resolution || props.resolution || 1
-      // Rejuvenate `this`
       if (this.start < chrRange.end && this.end > chrRange.start) {
-        // Resolution support: check if the resolution is already enough in
-        // this node. If so, call `this.constructor._callFuncOnDataEntry` on
-        // `this.summaryChromRegion`
-        if (this.resolutionEnough(resolution) && this.hasData) {
-          // Resolution enough
-          return this.constructor._callFuncOnDataEntry(callback, filter,
-            breakOnFalse, this.summaryChromRegion, props, ...args
-          )
-        } else {
-          // call `GiveNonLeafNode.prototype.traverse`
-          return super.traverse(chrRange, callback, filter, breakOnFalse,
-            props, ...args)
+        let leafCallback = props.bestAvailable
+          ? (dataEntry, ...callbackArgs) => callback(
+            this.constructor._tagRawEntry(dataEntry), ...callbackArgs)
+          : callback
+        for (let item of this._walk(chrRange, props)) {
+          if (!(item instanceof GiveTreeNS.GiveTreeNode
+            ? item.traverse(chrRange, leafCallback, filter, breakOnFalse,
+              props, ...args)
+            : this.constructor._callFuncOnDataEntry(callback, filter,
+              breakOnFalse, item, props, ...args))
+          ) {
+            return false
+          }
         }
+        return true
       }
     } else { // !chrRange
       throw (new Error(chrRange + ' is not a valid chrRegion.'))
     } // end if(chrRange)
   }
 
+  /**
+   * Get all summary and data entries within `chrRange` lazily, in coordinate
+   *    order. This is the generator version of `this.traverse` (with the same
+   *    resolution support), entries in leaf nodes are collected one leaf node
+   *    at a time.
+   *
+   *    `this` should not be modified before the iteration is done.
+   *
+   * @generator
+   * @param  {ChromRegion} chrRange - the chromosomal range to traverse.
+   * @param  {number} [chrRange.resolution] - the resolution required, this
+   *    will override `props.resolution` if both exist.
+   * @param  {Object} [props] - additional properties being passed onto
+   *    nodes, see `this.traverse`.
+   * @param  {number} [props.resolution] - the resolution required.
+   * @param  {function} [props.filter] - a filter function that takes a
+   *    `ChromRegion` object as its sole parameter and returns whether the
+   *    region should be yielded.
+   * @param  {boolean} [props.bestAvailable] - whether to fall back to the
+   *    closest cached resolution, see `this.traverse`.
+   * @yields {ChromRegion} summary entries (`this.summaryChromRegion` of
+   *    nodes) and data entries.
+   */
+  * entries (chrRange, props) {
+    if (!chrRange) {
+      throw (new Error(chrRange + ' is not a valid chrRegion.'))
+    }
+    props = props || {}
+    if (this.start >= chrRange.end || this.end <= chrRange.start) {
+      return
+    }
+    for (let item of this._walk(chrRange, props)) {
+      if (item instanceof GiveTreeNS.GiveTreeNode) {
+        let leafEntries = []
+        item.traverse(chrRange, dataEntry => {
+          leafEntries.push(props.bestAvailable
+            ? this.constructor._tagRawEntry(dataEntry) : dataEntry)
+        }, props.filter, false, props)
+        yield * leafEntries
+      } else if (!props.filter || props.filter(item)) {
+        yield item
+      }
+    }
+  }
+
+  /**
+   * Walk through `this` and its children overlapping `chrRange` for
+   *    `this.traverse` and `this.entries`, see `this.traverse` for the
+   *    parameters.
+   *
+   *    Summaries that meet the resolution requirement are yielded as
+   *    `ChromRegion`s, leaf nodes are yielded for the caller to traverse
+   *    (`props.notFirstCall` is updated after that). With
+   *    `props.bestAvailable`, uncached children will be yielded as the
+   *    summary of `fallbackNode` clipped to the child.
+   *
+   * @generator
+   * @param  {ChromRegion} chrRange - the chromosomal range to walk through,
+   *    should overlap `this`.
+   * @param  {Object} props - additional properties, see `this.traverse`.
+   * @param  {PineNode} [fallbackNode] - the closest ancestor with a summary,
+   *    only used with `props.bestAvailable`.
+   * @yields {ChromRegion|GiveTreeNode} summary entries and leaf nodes
+   */
+  * _walk (chrRange, props, fallbackNode) {
+    let resolution = chrRange.resolution || props.resolution || 1
+    // Rejuvenate `this`
+    this.tree._recordAccess(this)
+    // Resolution support: check if the resolution is already enough in this
+    //    node. If so, use `this.summaryChromRegion` instead of the children.
+    if (this.resolutionEnough(resolution) && !this.hasData &&
+      typeof this.tree._SummaryCtor === 'function'
+    ) {
+      // Summary may be built from cached children
+      this.isCached()
+    }
+    if (this.resolutionEnough(resolution) && this.hasData) {
+      this.tree._recordHit()
+      yield this.summaryChromRegion
+      return
+    }
+
+    if (props.bestAvailable && this.hasData) {
+      fallbackNode = this
+    }
+    this._restoreChildren()
+    let currIndex = 0
+    while (currIndex < this.values.length &&
+      this.keys[currIndex + 1] <= chrRange.start
+    ) {
+      currIndex++
+    }
+    while (currIndex < this.values.length &&
+      this.keys[currIndex] < chrRange.end
+    ) {
+      let nodeEntry = this.values[currIndex]
+      if (nodeEntry && this.reverseDepth > 0) {
+        yield * nodeEntry._walk(chrRange, props, fallbackNode)
+      } else if (nodeEntry) {
+        this.tree._recordHit()
+        yield nodeEntry
+      } else if (nodeEntry === null && props.bestAvailable && fallbackNode) {
+        // Not cached, use the closest coarser summary
+        let fallbackRegion = fallbackNode.summary.attach(new ChromRegion({
+          chr: this.tree.chr,
+          start: Math.max(this.keys[currIndex], chrRange.start),
+          end: Math.min(this.keys[currIndex + 1], chrRange.end)
+        }))
+        fallbackRegion.resolution = fallbackNode.resolution
+        yield fallbackRegion
+      }
+      props.notFirstCall = true
+      currIndex++
+    }
+  }
+
+  /**
+   * Tag a raw data entry with the resolution it represents (`1`) when
+   *    traversing with `props.bestAvailable`, unless it's already tagged.
+   *
+   * @static
+   * @param  {ChromRegion} dataEntry - the data entry, cached in the tree and
+   *    therefore not modified.
+   * @returns {ChromRegion} `dataEntry` if it's already tagged, otherwise a
+   *    tagged copy of it.
+   */
+  static _tagRawEntry (dataEntry) {
+    if (dataEntry.resolution !== undefined) {
+      return dataEntry
+    }
+    let taggedEntry = this._copyEntry(dataEntry)
+    taggedEntry.resolution = 1
+    return taggedEntry
+  }
+
+  /**
+   * Make a shallow copy of a data entry, keeping its prototype and all its
+   *    properties.
+   *
+   * @static
+   * @param  {ChromRegion} dataEntry - the data entry
+   * @returns {ChromRegion} the copy
+   */
+  static _copyEntry (dataEntry) {
+    return Object.assign(Object.create(Object.getPrototypeOf(dataEntry)),
+      dataEntry)
+  }
+
+  /**
+   * Walk through all children overlapping `chrRange` to find out whether
+   *    they have data at the required resolution. This is shared by
+   *    `this.getUncachedRange`, `this.hasUncachedRange` and
+   *    `this.getCoverageMap`.
+   *
+   *    Children without enough resolution will be walked into recursively,
+   *    `visitor` will be called on all other children in coordinate order.
+   *
+   * @param  {ChromRegion} chrRange - The range of query.
+   * @param  {number} resolution - the resolution required.
+   * @param  {function} visitor - the function called on children, with the
+   *    node containing the child, the index of the child within the node, and
+   *    whether the child has data (see `this.childHasData`) as its
+   *    parameters. Return `false` to stop walking.
+   * @returns {boolean} `false` if the walk has been stopped by `visitor`,
+   *    otherwise `true`.
+   */
+  _walkCachedChildren (chrRange, resolution, visitor) {
+    this._restoreChildren()
+    let currIndex = 0
+    while (currIndex < this.values.length &&
+      this.keys[currIndex + 1] <= chrRange.start
+    ) {
+      currIndex++
+    }
+    while (currIndex < this.values.length &&
+      this.keys[currIndex] < chrRange.end
+    ) {
+      if (this.values[currIndex] &&
+        !this.childResolutionEnough(resolution, currIndex)
+      ) {
+        // child has not enough resolution
+        if (!this.values[currIndex]._walkCachedChildren(
+          chrRange, resolution, visitor)
+        ) {
+          return false
+        }
+      } else if (
+        visitor(this, currIndex, this.childHasData(currIndex)) === false
+      ) {
+        return false
+      }
+      currIndex++
+    }
+    return true
+  }
+
   /**
    * Return an array of chrRegions that does not have
    *    data loaded to allow buffered loading of data.
@@ -733,31 +1794,19 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
     }
 
     if (chrRange) {
-      let currIndex = 0
-      while (currIndex < this.values.length &&
-        this.keys[currIndex + 1] <= chrRange.start
-      ) {
-        currIndex++
-      }
-      while (currIndex < this.values.length &&
-        this.keys[currIndex] < chrRange.end
-      ) {
-        if (this.values[currIndex] &&
-          !this.childResolutionEnough(resolution, currIndex)
-        ) {
-          // child has not enough resolution
-          this.values[currIndex].getUncachedRange(chrRange, props)
-        } else if (!this.childHasData(currIndex)) {
+      this._walkCachedChildren(chrRange, resolution, (node, index, hasData) => {
+        if (!hasData) {
+          this.tree._recordMiss()
           // either no child at all or child does not have summary data
           // calculate the closest range needed for the resolution
           // first normalize resolution to scalingFactor
-          let closestResolution = this._getClosestResolution(
+          let closestResolution = node._getClosestResolution(
             resolution / props.bufferingRatio)
-          let retrieveStart = Math.max(this.keys[currIndex],
-            this.constructor.fitResolution(
+          let retrieveStart = Math.max(node.keys[index],
+            node.constructor.fitResolution(
               chrRange.start, closestResolution, Math.floor))
-          let retrieveEnd = Math.min(this.keys[currIndex + 1],
-            this.constructor.fitResolution(
+          let retrieveEnd = Math.min(node.keys[index + 1],
+            node.constructor.fitResolution(
               chrRange.end, closestResolution, Math.ceil))
           if (props._result[props._result.length - 1] &&
             props._result[props._result.length - 1].resolution ===
@@ -774,8 +1823,7 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
             }))
           }
         }
-        currIndex++
-      }
+      })
       return props._result
     } else { // chrRange
       throw (new Error(chrRange + ' is not a valid chrRegion.'))
@@ -803,33 +1851,87 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
 
     let resolution = chrRange.resolution || props.resolution || 1
     if (chrRange) {
-      let currIndex = 0
-      while (currIndex < this.values.length &&
-        this.keys[currIndex + 1] <= chrRange.start
-      ) {
-        currIndex++
-      }
-      while (currIndex < this.values.length &&
-        this.keys[currIndex] < chrRange.end
-      ) {
-        if (this.values[currIndex] &&
-          !this.childResolutionEnough(resolution, currIndex)
-        ) {
-          // child has not enough resolution
-          if (this.values[currIndex].hasUncachedRange(chrRange, props)) {
-            return true
-          }
-        } else if (!this.childHasData(currIndex)) {
-          return true
-        }
-        currIndex++
-      }
-      return false
+      // stop walking at the first child without data
+      return !this._walkCachedChildren(chrRange, resolution,
+        (node, index, hasData) => hasData)
     } else { // chrRange
       throw (new Error(chrRange + ' is not a valid chrRegion.'))
     }
   }
 
+  /**
+   * Get a map of the caching status within a range, as contiguous segments
+   *    labelled with their states.
+   *
+   * @param  {ChromRegion} chrRange - The range of query.
+   * @param  {number} [chrRange.resolution] - the resolution required for the
+   *    map. 1 is finest. This will override `props.resolution` if both exist.
+   *    Segments coarser than this will be walked into to find finer data.
+   * @param  {Object} [props] - additional properties being passed onto
+   *    nodes
+   * @param  {number} [props.resolution] - resolution required for the
+   *    map, will be overridden by `chrRange.resolution` if both exist.
+   * @param  {Array<ChromRegion>} [props._result] - previous segments. This
+   *    will be appended to the front of returned value.
+   * @returns {Array<ChromRegion>} An ordered array of contiguous segments
+   *    covering `chrRange`, every segment will have the following properties:
+   *    *  `.state`: one of `PineNode.COVERAGE_STATES`: `'uncached'` (no data
+   *       at the required resolution), `'empty'` (known to have no data),
+   *       `'summary'` (summaries are cached) or `'data'` (raw data is
+   *       cached). `PineTree.prototype.getCoverageMap` will also label
+   *       uncached segments being loaded as `'pending'`;
+   *    *  `.resolution`: the resolution of the cached data (`1` for raw data
+   *       and empty segments), or the resolution the segment is not cached
+   *       at.
+   */
+  getCoverageMap (chrRange, props) {
+    props = props || {}
+    let resolution = chrRange.resolution || props.resolution || 1
+    props._result = props._result || []
+    this._walkCachedChildren(chrRange, resolution, (node, index, hasData) => {
+      let nodeEntry = node.values[index]
+      let state
+      let segmentResolution
+      if (nodeEntry === false) {
+        state = node.constructor.COVERAGE_STATES.EMPTY
+        segmentResolution = 1
+      } else if (!hasData) {
+        state = node.constructor.COVERAGE_STATES.UNCACHED
+        segmentResolution = node.getChildResolution(index)
+      } else if (node.reverseDepth <= 0) {
+        state = node.constructor.COVERAGE_STATES.DATA
+        segmentResolution = 1
+      } else if (nodeEntry.hasData) {
+        state = node.constructor.COVERAGE_STATES.SUMMARY
+        segmentResolution = nodeEntry.resolution
+      } else {
+        // cached at finer resolutions without summary, walk into it
+        nodeEntry.getCoverageMap(chrRange,
+          { resolution: 1, _result: props._result })
+        return
+      }
+      let segmentStart = Math.max(node.keys[index], chrRange.start)
+      let segmentEnd = Math.min(node.keys[index + 1], chrRange.end)
+      let lastSegment = props._result[props._result.length - 1]
+      if (lastSegment && lastSegment.state === state &&
+        lastSegment.resolution === segmentResolution &&
+        lastSegment.end === segmentStart
+      ) {
+        lastSegment.end = segmentEnd
+      } else {
+        let segment = new ChromRegion({
+          chr: this.tree.chr,
+          start: segmentStart,
+          end: segmentEnd
+        })
+        segment.state = state
+        segment.resolution = segmentResolution
+        props._result.push(segment)
+      }
+    })
+    return props._result
+  }
+
   /**
    * Whether this node is empty.
    * If there is no child with data, nor is there any summary data, the node is
@@ -838,10 +1940,34 @@ class PineNode extends GiveTreeNS.GiveNonLeafNode {
    * @type {boolean}
    */
   get isEmpty () {
-    return !this.hasData && super.isEmpty
+    return !this.hasData && !this._binaryChildren && super.isEmpty
   }
 }
 
 PineNode._DEFAULT_S_FACTOR = 10
 
+/**
+ * States of segments returned by `PineNode.prototype.getCoverageMap`
+ * @static
+ * @type {Object<string, string>}
+ */
+PineNode.COVERAGE_STATES = {
+  UNCACHED: 'uncached',
+  PENDING: 'pending',
+  EMPTY: 'empty',
+  SUMMARY: 'summary',
+  DATA: 'data'
+}
+
+/**
+ * Members that `tree._SummaryCtor` needs to implement, see `SummaryBase` for
+ *    details.
+ * @static
+ * @type {{static: Array<string>, prototype: Array<string>}}
+ */
+PineNode._SUMMARY_INTERFACE = {
+  static: ['extract'],
+  prototype: ['addSummary', 'addDataFromChromEntry', 'attach']
+}
+
 module.exports = PineNode
@@ -18,7 +18,9 @@
  */
 
 const GiveTreeNS = require('@givengine/give-tree')
+const ChromRegion = require('@givengine/chrom-region')
 const PineNode = require('./pineNode')
+const BinarySnapshot = require('./binarySnapshot')
 
 const log4js = require('@log4js-node/log4js-api')
 const logger = log4js.getLogger('givengine')
@@ -36,8 +38,41 @@ const logger = log4js.getLogger('givengine')
  *
  *    For example, if `this.tree.leafScalingFactor === 100`, each leaf node
  *    (`give.DataNode`) shall cover 100bp.
+ * @property {Array<number>} [resolutions] - Custom resolutions of the pine
+ *    tree, in ascending order, starting with `1` (raw data). Every resolution
+ *    is a multiple of the previous one.
+ *
+ *    If provided, nodes at reverse depth `n` will have a resolution of
+ *    `resolutions[n + 1]` (so `this.leafScalingFactor` will be
+ *    `resolutions[1]`) instead of `leafScalingFactor * scalingFactor ** n`.
+ *    Resolutions coarser than the last one will still be scaled by
+ *    `this.scalingFactor`.
+ * @property {number} [maxEntries] - The maximum number of data entries
+ *    that the tree can cache. If more entries are cached after an insertion,
+ *    least recently used nodes will be withered (see `this.wither`).
+ * @property {number} _entryCount - The number of data entries cached in the
+ *    leaf nodes of the tree.
+ * @property {Set<PineNode>} _lruNodes - Nodes with data entries in their
+ *    leaf nodes, from the least recently used to the most recently used
+ *    (see `this._recordAccess`).
+ * @property {number} _cacheHits - The number of summaries and leaf nodes
+ *    visited by traverses since the last `this.resetStats()`, see
+ *    `this._recordHit`.
+ * @property {number} _cacheMisses - The number of uncached children visited
+ *    by `this.getUncachedRange` since the last `this.resetStats()`, see
+ *    `this._recordMiss`.
+ * @property {Array<Object>} _pendingMarkers - Markers of ranges that are
+ *    being loaded (see `this.markPending`), each with the range (and its
+ *    resolution) as `.chrRange`, and the promise of loading as `.promise`.
+ *    Markers are sorted by their starts, see `this._findPendingMarkers`.
+ * @property {number} _pendingMaxLength - The length of the longest marker in
+ *    `this._pendingMarkers`, so that markers overlapping a range can be
+ *    found from the start of the range.
  * @property {function} _SummaryCtor - The constructor for a data
- *    summary object.
+ *    summary object. See `SummaryBase` for the members it needs to
+ *    implement; built-in summaries (`CountSummary`, `SumSummary`,
+ *    `MeanSummary`, `MinMaxSummary`, `VarianceSummary`,
+ *    `HistogramSummary` and `CompositeSummary`) can be used directly.
  * @property {GiveTreeNode} _NonLeafNodeCtor - Constructor for all non-leaf
  *    nodes. Should be `PineNode` all the time. Can be overridden but not
  *    recommended.
@@ -54,7 +89,15 @@ const logger = log4js.getLogger('givengine')
  *    implementations
  * @param {number} [props.scalingFactor] - for `this.scalingFactor`
  * @param {number} [props.leafScalingFactor] - for `this.leafScalingFactor`
- * @param {function} [props._SummaryCtor] - for `this._SummaryCtor`
+ * @param {Array<number>} [props.resolutions] - for `this.resolutions`,
+ *    `1` will be added if it's not the first resolution. An error will be
+ *    thrown if resolutions are not integers in ascending order, or any of
+ *    them is not a multiple of the previous one.
+ * @param {number} [props.maxEntries] - for `this.maxEntries`, no limit if
+ *    omitted.
+ * @param {function} [props._SummaryCtor] - for `this._SummaryCtor`, an
+ *    error will be thrown if it does not implement all members listed in
+ *    `PineNode._SUMMARY_INTERFACE`.
  * @param {function} [props.NonLeafNodeCtor] - used to override non-leaf node
  *    constructors.
  * @param {function} [props.LeafNodeCtor] - if omitted, the constructor of
@@ -89,11 +132,616 @@ class PineTree extends GiveTreeNS.GiveTree {
       this.leafScalingFactor = props.leafScalingFactor
     }
 
-    if (typeof props._SummaryCtor === 'function') {
+    // Statistics
+    this._cacheHits = 0
+    this._cacheMisses = 0
+
+    // Withering
+    this._entryCount = 0
+    this._lruNodes = new Set()
+
+    // Ranges being loaded
+    this._pendingMarkers = []
+    this._pendingMaxLength = 0
+    if (Number.isInteger(props.maxEntries) && props.maxEntries >= 0) {
+      this.maxEntries = props.maxEntries
+    }
+
+    // Custom resolutions
+    if (props.resolutions !== undefined && props.resolutions !== null) {
+      this.resolutions = this.constructor._normalizeResolutions(
+        props.resolutions)
+      this.leafScalingFactor = this.resolutions[1]
+    }
+
+    if (props._SummaryCtor !== undefined && props._SummaryCtor !== null) {
+      // Reject incomplete summary constructors early instead of failing deep
+      //    within `PineNode.prototype.updateSummary`
+      PineNode._validateSummaryCtor(props._SummaryCtor)
       this._SummaryCtor = props._SummaryCtor
     }
   }
 
+  /**
+   * Validate custom resolutions and add `1` as the finest resolution if
+   *    needed.
+   *
+   * @static
+   * @param {Array<number>} resolutions - the custom resolutions
+   * @returns {Array<number>} normalized resolutions
+   */
+  static _normalizeResolutions (resolutions) {
+    if (!Array.isArray(resolutions)) {
+      throw new Error('Resolutions should be an array: ' + resolutions)
+    }
+    resolutions = resolutions[0] === 1 ? resolutions.slice()
+      : [1].concat(resolutions)
+    if (resolutions.length < 2) {
+      throw new Error('At least one resolution coarser than 1 is needed.')
+    }
+    resolutions.forEach((resolution, index) => {
+      if (!Number.isInteger(resolution) || resolution < 1) {
+        throw new Error('Invalid resolution: ' + resolution)
+      }
+      if (index > 0 && (resolution <= resolutions[index - 1] ||
+        resolution % resolutions[index - 1]
+      )) {
+        throw new Error('Resolution ' + resolution + ' is not a multiple ' +
+          'of (or is not coarser than) the previous resolution ' +
+          resolutions[index - 1] + '.')
+      }
+    })
+    return resolutions
+  }
+
+  /**
+   * Insert data entries, then wither least recently used nodes if the tree
+   *    has cached more than `this.maxEntries` entries.
+   *
+   * See `GiveTree.prototype.insert` for parameters.
+   */
+  insert (data, chrRanges, props) {
+    let result = super.insert(...arguments)
+    if (typeof this.maxEntries === 'number') {
+      this.wither()
+    }
+    return result
+  }
+
+  /**
+   * Insert sorted data entries from a stream (or any iterable), chunk by
+   *    chunk, so that the whole data does not need to be in memory at once.
+   *
+   *    Every chunk is inserted for the part of `chrRange` from the start of
+   *    its first entry to the start of the next chunk, so summaries of nodes
+   *    are built as soon as they are complete. All chunks are inserted with
+   *    the same `props`, so entries overlapping later chunks are passed on
+   *    in `continuedList`. Entries on other chromosomes or outside
+   *    `chrRange` are ignored.
+   *
+   *    Least recently used nodes are withered (if needed) only once after
+   *    the stream ends, so that chunks being inserted will not be withered.
+   *
+   *    If the entries are found to be unsorted, the returned promise will be
+   *    rejected, chunks inserted before that will be kept.
+   *
+   * @async
+   * @param {AsyncIterable|Iterable} source - the data entries sorted by their
+   *    `.start` (or arrays of them), for example, a Node.js `Readable` stream
+   *    in object mode.
+   * @param {ChromRegion} chrRange - the chromosomal range that the data
+   *    corresponds to, see `PineNode.prototype.insert`.
+   * @param {number} [chrRange.resolution] - the resolution of the data, this
+   *    will override `props.resolution` if both exist.
+   * @param {Object} [props] - additional properties
+   * @param {number} [props.resolution] - the resolution of the data, default
+   *    to `1`.
+   * @param {number} [props.chunkSize] - the number of entries in every
+   *    chunk, default to `PineTree._DEFAULT_CHUNK_SIZE`. Entries starting at
+   *    the same coordinate are always in the same chunk.
+   * @returns {Promise<number>} resolved with the number of data entries
+   *    inserted.
+   */
+  async insertStream (source, chrRange, props) {
+    props = props || {}
+    if (chrRange.chr && chrRange.chr !== this.chr) {
+      return 0
+    }
+    let chunkSize = props.chunkSize || this.constructor._DEFAULT_CHUNK_SIZE
+    let range = this._root.truncateChrRange(chrRange, true, true)
+    let resolution = chrRange.resolution || props.resolution || 1
+    // shared by all chunks to pass `continuedList` on
+    let insertProps = {}
+    let chunk = []
+    let chunkStart = range.start
+    let entryCount = 0
+    let lastStart = -Infinity
+    let isDone = false
+
+    let insertChunk = chunkEnd => {
+      let chunkRange = new ChromRegion({
+        chr: this.chr,
+        start: chunkStart,
+        end: chunkEnd
+      })
+      chunkRange.resolution = resolution
+      entryCount += chunk.length
+      super.insert(chunk, chunkRange, insertProps)
+      chunk = []
+      chunkStart = chunkEnd
+    }
+
+    try {
+      for await (let item of source) {
+        for (let entry of (Array.isArray(item) ? item : [item])) {
+          if (entry.chr && entry.chr !== this.chr) {
+            continue
+          }
+          if (entry.start < lastStart) {
+            throw new Error('Data entries are not sorted: entry starting at ' +
+              entry.start + ' appears after the one starting at ' + lastStart +
+              '.')
+          }
+          lastStart = entry.start
+          if (entry.start >= range.end) {
+            isDone = true
+            break
+          }
+          if (entry.end <= range.start) {
+            continue
+          }
+          if (chunk.length >= chunkSize && entry.start > chunkStart &&
+            entry.start > chunk[chunk.length - 1].start
+          ) {
+            insertChunk(entry.start)
+          }
+          chunk.push(entry)
+        }
+        if (isDone) {
+          break
+        }
+      }
+      insertChunk(range.end)
+    } finally {
+      if (typeof this.maxEntries === 'number') {
+        this.wither()
+      }
+    }
+    return entryCount
+  }
+
+  /**
+   * Wither least recently used nodes (with raw data) until the number of
+   *    cached data entries is within `maxEntries`. Summaries of the withered
+   *    nodes will be kept if possible.
+   *
+   * @param {number} [maxEntries] - the maximum number of data entries,
+   *    `this.maxEntries` will be used if omitted.
+   * @returns {number} number of data entries withered
+   */
+  wither (maxEntries) {
+    maxEntries = typeof maxEntries === 'number' ? maxEntries : this.maxEntries
+    if (typeof maxEntries !== 'number' || this._entryCount <= maxEntries) {
+      return 0
+    }
+    let witheredEntries = 0
+    for (let node of this._lruNodes) {
+      if (this._entryCount <= maxEntries) {
+        break
+      }
+      witheredEntries += node._entryCount
+      // Wither the node from the root so that its ancestors know that their
+      //    children have been changed
+      this._root.collapse(node, node.resolution)
+      this._releasePending(node, node.resolution)
+    }
+    if (witheredEntries) {
+      logger.debug(witheredEntries + ' entries withered.')
+    }
+    return witheredEntries
+  }
+
+  /**
+   * Collapse the cached data within a range to a resolution, dropping all
+   *    data finer than `resolution` (including raw data) while keeping
+   *    summaries at or coarser than `resolution`. This can be used to free
+   *    detailed data of regions that are no longer viewed without losing the
+   *    overview.
+   *
+   * @param {ChromRegion} chrRange - the chromosomal range to collapse
+   * @param {number} [chrRange.resolution] - the resolution to collapse to,
+   *    will be overridden by `resolution` if both exist.
+   * @param {number} [resolution] - the resolution to collapse to, data finer
+   *    than this will be dropped.
+   */
+  collapse (chrRange, resolution) {
+    resolution = resolution || chrRange.resolution
+    if (!(resolution > 1)) {
+      // Nothing is finer than raw data
+      return
+    }
+    if (!chrRange.chr || chrRange.chr === this.chr) {
+      let range = this._root.truncateChrRange(chrRange, true, true)
+      this._root.collapse(range, resolution)
+      this._releasePending(range, resolution)
+    }
+  }
+
+  /**
+   * Get statistics of the data cached in the tree.
+   *
+   * @returns {Object} the statistics, with the following properties:
+   *    *  `nodeCounts`: number of non-leaf nodes, keyed by `reverseDepth`;
+   *    *  `leafNodeCount`: number of leaf nodes (`DataNode`s);
+   *    *  `entryCount`: number of data entries stored in leaf nodes;
+   *    *  `summaryNodeCount`: number of non-leaf nodes with summaries;
+   *    *  `cachedLength`: length (in bp) of cached ranges, keyed by
+   *       resolution. Ranges known to be empty are counted at the resolution
+   *       of the empty child;
+   *    *  `estimatedMemory`: a rough estimation of the memory used (in
+   *       bytes), see `PineTree._ESTIMATED_SIZES`;
+   *    *  `cacheHits`: number of nodes answered from the cache by
+   *       traverses, *i.e.* summaries and leaf nodes visited;
+   *    *  `cacheMisses`: number of uncached children visited by
+   *       `this.getUncachedRange`. Adjacent uncached children are merged
+   *       into one range, but counted separately.
+   *
+   *    `cacheHits` and `cacheMisses` are counted since the tree was created
+   *    or `this.resetStats()` was last called.
+   */
+  getStats () {
+    let stats = this._root._collectStats({
+      nodeCounts: {},
+      keyCount: 0,
+      leafNodeCount: 0,
+      entryCount: 0,
+      summaryNodeCount: 0,
+      cachedLength: {}
+    })
+    let sizes = this.constructor._ESTIMATED_SIZES
+    stats.estimatedMemory =
+      Object.keys(stats.nodeCounts).reduce(
+        (sum, depth) => sum + stats.nodeCounts[depth], 0) * sizes.node +
+      stats.keyCount * sizes.key +
+      stats.summaryNodeCount * sizes.summary +
+      stats.leafNodeCount * sizes.leafNode +
+      stats.entryCount * sizes.entry
+    delete stats.keyCount
+    stats.cacheHits = this._cacheHits
+    stats.cacheMisses = this._cacheMisses
+    return stats
+  }
+
+  /**
+   * Reset `cacheHits` and `cacheMisses` counters in statistics.
+   */
+  resetStats () {
+    this._cacheHits = 0
+    this._cacheMisses = 0
+  }
+
+  /**
+   * Set the number of data entries cached in the leaf nodes of a node, called
+   *    by nodes with `reverseDepth === 0` whenever their leaf nodes are
+   *    changed. The node will be tracked as the most recently used one if it
+   *    has any data entry.
+   *
+   * @param {PineNode} node - the node
+   * @param {number} entryCount - the number of data entries
+   */
+  _setEntryCount (node, entryCount) {
+    this._entryCount += entryCount - node._entryCount
+    node._entryCount = entryCount
+    this._lruNodes.delete(node)
+    if (entryCount > 0) {
+      this._lruNodes.add(node)
+    }
+  }
+
+  /**
+   * Mark a node as the most recently used one, called by nodes when they are
+   *    inserted into or traversed. Only nodes with data entries are tracked.
+   *
+   * @param {PineNode} node - the node
+   */
+  _recordAccess (node) {
+    if (this._lruNodes.delete(node)) {
+      this._lruNodes.add(node)
+    }
+  }
+
+  /**
+   * Count a summary or a leaf node visited by a traverse in statistics,
+   *    called by nodes.
+   */
+  _recordHit () {
+    this._cacheHits++
+  }
+
+  /**
+   * Count an uncached child visited by `this.getUncachedRange` in
+   *    statistics, called by nodes.
+   */
+  _recordMiss () {
+    this._cacheMisses++
+  }
+
+  /**
+   * Get properties of the tree to be stored in snapshots.
+   *
+   * @returns {Object} the properties
+   */
+  _getSnapshotProperties () {
+    return {
+      chr: this.chr,
+      start: this._root.start,
+      end: this._root.end,
+      scalingFactor: this.scalingFactor,
+      leafScalingFactor: this.leafScalingFactor,
+      resolutions: this.resolutions || null,
+      maxEntries: typeof this.maxEntries === 'number'
+        ? this.maxEntries : null
+    }
+  }
+
+  /**
+   * Create an empty tree from properties stored in a snapshot (see
+   *    `this.prototype._getSnapshotProperties`).
+   *
+   * @static
+   * @param {Object} properties - the properties in the snapshot
+   * @param {Object} [props] - properties of the tree, overriding those in
+   *    `properties`
+   * @returns {PineTree} the tree
+   */
+  static _fromSnapshotProperties (properties, props) {
+    return new this(new ChromRegion({
+      chr: properties.chr,
+      start: properties.start,
+      end: properties.end
+    }), Object.assign({
+      scalingFactor: properties.scalingFactor,
+      leafScalingFactor: properties.leafScalingFactor,
+      resolutions: properties.resolutions,
+      maxEntries: typeof properties.maxEntries === 'number'
+        ? properties.maxEntries : undefined
+    }, props))
+  }
+
+  /**
+   * Get a JSON snapshot of the whole tree, which can be restored by
+   *    `PineTree.fromJSON`.
+   *
+   *    Summaries are serialized by their `toJSON` method (if any), raw data
+   *    entries are stored once in `entries` and referenced by their indices
+   *    in leaf nodes.
+   *
+   * @returns {Object} the snapshot
+   */
+  toJSON () {
+    let entryTable = { entries: [], indices: new Map() }
+    let root = this._root._toJSON(entryTable)
+    return Object.assign(this._getSnapshotProperties(), {
+      entries: entryTable.entries,
+      root: root
+    })
+  }
+
+  /**
+   * Restore a tree from a JSON snapshot (see `PineTree.prototype.toJSON`).
+   *
+   * @static
+   * @param {Object} json - the snapshot
+   * @param {Object} [props] - properties of the tree, see the constructor of
+   *    `PineTree`. Properties in `json` will be used if not provided here.
+   *    Note that `props._SummaryCtor` needs to be provided if the snapshot
+   *    has summaries.
+   * @param {function} [props.entryFromJSON] - the function to restore a raw
+   *    data entry from its JSON representation (as its sole parameter).
+   *    `PineTree._entryFromJSON` will be used by default.
+   * @returns {PineTree} the restored tree
+   */
+  static fromJSON (json, props) {
+    props = props || {}
+    let tree = this._fromSnapshotProperties(json, props)
+    let entryFromJSON = typeof props.entryFromJSON === 'function'
+      ? props.entryFromJSON : this._entryFromJSON
+    tree._root = tree._root.constructor._fromJSON(json.root, {
+      tree: tree,
+      isRoot: true,
+      entries: json.entries.map(entryJSON => entryFromJSON(entryJSON)),
+      LeafNodeCtor: tree._LeafNodeCtor
+    })
+    return tree
+  }
+
+  /**
+   * Get a compact binary snapshot of the whole tree, which can be restored
+   *    by `PineTree.fromBinary`. See `BinarySnapshot` for the format.
+   *
+   *    Summaries are encoded by their `toBinary` method if their constructor
+   *    also implements `fromBinary` (all built-in summaries do), otherwise by
+   *    their `toJSON` method.
+   *
+   * @returns {ArrayBuffer} the snapshot, use `Buffer.from()` to get a
+   *    Node.js `Buffer`.
+   */
+  toBinary () {
+    let writer = new BinarySnapshot.SnapshotWriter()
+    writer.writeUint32(BinarySnapshot.MAGIC)
+    writer.writeUint16(BinarySnapshot.VERSION)
+    writer.writeUint16(0)
+    // Placeholders for offsets of the root node and the entry table
+    let offsetsPosition = writer.offset
+    writer.writeUint32(0)
+    writer.writeUint32(0)
+    writer.writeString(JSON.stringify(this._getSnapshotProperties()))
+
+    let entryTable = { entries: [], indices: new Map() }
+    writer.setUint32(offsetsPosition,
+      this._root._writeBinary(writer, entryTable))
+
+    writer.align(4)
+    writer.setUint32(offsetsPosition + 4, writer.offset)
+    this._writeEntryTable(writer, entryTable.entries)
+    return writer.toArrayBuffer()
+  }
+
+  /**
+   * Write the raw data entries into the entry table of a binary snapshot,
+   *    see `BinarySnapshot` for the format.
+   *
+   * @param {SnapshotWriter} writer - the writer of the snapshot
+   * @param {Array<ChromRegion>} entries - the entries
+   */
+  _writeEntryTable (writer, entries) {
+    const ENTRY_FLAGS = BinarySnapshot.ENTRY_FLAGS
+    let values = new Float64Array(entries.length)
+    let flags = new Uint8Array(entries.length)
+    let extras = entries.map((entry, index) => {
+      let entryJSON = typeof entry.toJSON === 'function'
+        ? entry.toJSON() : entry
+      let extra = null
+      Object.keys(entryJSON).forEach(key => {
+        let field = entryJSON[key]
+        if (key === 'start' || key === 'end' || field === undefined ||
+          typeof field === 'function' || (key === 'chr' && field === this.chr)
+        ) {
+          return
+        }
+        if (key === 'data' && field !== null && typeof field === 'object' &&
+          typeof field.value === 'number' && Object.keys(field).length === 1
+        ) {
+          values[index] = field.value
+          flags[index] |= ENTRY_FLAGS.VALUE
+          return
+        }
+        extra = extra || {}
+        extra[key] = field
+      })
+      if (extra) {
+        flags[index] |= ENTRY_FLAGS.EXTRA
+      }
+      return extra
+    })
+
+    writer.writeUint32(entries.length)
+    writer.writeFloat64Array(entries.map(entry => entry.start))
+    writer.writeFloat64Array(entries.map(entry => entry.end))
+    writer.writeFloat64Array(values)
+    writer.writeUint8Array(flags)
+    writer.align(4)
+    let extraOffsetsPosition = writer.offset
+    writer.writeUint32Array(new Uint32Array(entries.length))
+    extras.forEach((extra, index) => {
+      if (extra) {
+        writer.setUint32(extraOffsetsPosition + index * 4, writer.offset)
+        writer.writeString(JSON.stringify(extra))
+      }
+    })
+  }
+
+  /**
+   * Get the function to restore raw data entries from the entry table of a
+   *    binary snapshot by their indices.
+   *
+   * @param {SnapshotReader} reader - the reader of the snapshot, at the
+   *    offset of the entry table
+   * @param {function} entryFromJSON - the function to restore an entry from
+   *    its JSON representation, see `PineTree.fromJSON`.
+   * @returns {function} the function, entries shared by multiple leaf nodes
+   *    will only be restored once.
+   */
+  _readEntryTable (reader, entryFromJSON) {
+    const ENTRY_FLAGS = BinarySnapshot.ENTRY_FLAGS
+    let entryCount = reader.readUint32()
+    let starts = reader.readFloat64Array(entryCount)
+    let ends = reader.readFloat64Array(entryCount)
+    let values = reader.readFloat64Array(entryCount)
+    let flags = reader.readUint8Array(entryCount)
+    let extraOffsets = reader.readUint32Array(entryCount)
+    let entries = new Array(entryCount)
+    return index => {
+      if (!entries[index]) {
+        let entryJSON = {
+          chr: this.chr,
+          start: starts[index],
+          end: ends[index]
+        }
+        if (flags[index] & ENTRY_FLAGS.EXTRA) {
+          Object.assign(entryJSON,
+            JSON.parse(reader.at(extraOffsets[index]).readString()))
+        }
+        if (flags[index] & ENTRY_FLAGS.VALUE) {
+          entryJSON.data = { value: values[index] }
+        }
+        entries[index] = entryFromJSON(entryJSON)
+      }
+      return entries[index]
+    }
+  }
+
+  /**
+   * Restore a tree from a binary snapshot (see
+   *    `PineTree.prototype.toBinary`).
+   *
+   *    Nodes are restored lazily: only the root is restored here, children of
+   *    a node (and raw data entries within) will be restored when they are
+   *    first needed. `snapshot` should not be modified afterwards.
+   *
+   * @static
+   * @param {ArrayBuffer|ArrayBufferView} snapshot - the snapshot, Node.js
+   *    `Buffer`s can be used directly.
+   * @param {Object} [props] - properties of the tree, see
+   *    `PineTree.fromJSON`.
+   * @returns {PineTree} the restored tree
+   */
+  static fromBinary (snapshot, props) {
+    props = props || {}
+    let reader = new BinarySnapshot.SnapshotReader(snapshot)
+    if (reader.readUint32() !== BinarySnapshot.MAGIC) {
+      throw new Error('Not a binary snapshot of pine trees.')
+    }
+    let version = reader.readUint16()
+    if (version > BinarySnapshot.VERSION) {
+      throw new Error('Binary snapshot version ' + version +
+        ' is not supported.')
+    }
+    reader.readUint16()
+    let rootOffset = reader.readUint32()
+    let entryTableOffset = reader.readUint32()
+    let tree = this._fromSnapshotProperties(JSON.parse(reader.readString()),
+      props)
+
+    let getEntry = tree._readEntryTable(reader.at(entryTableOffset),
+      typeof props.entryFromJSON === 'function'
+        ? props.entryFromJSON : this._entryFromJSON)
+
+    tree._root = tree._root.constructor._fromBinary(reader.at(rootOffset), {
+      tree: tree,
+      isRoot: true,
+      getEntry: getEntry,
+      LeafNodeCtor: tree._LeafNodeCtor
+    })
+    return tree
+  }
+
+  /**
+   * Default function to restore a raw data entry from its JSON
+   *    representation, creating a `ChromRegion` object with `.data` copied.
+   *
+   * @static
+   * @param {Object} entryJSON - the JSON representation
+   * @returns {ChromRegion} the entry
+   */
+  static _entryFromJSON (entryJSON) {
+    let entry = new ChromRegion(entryJSON)
+    if (entryJSON.data !== undefined) {
+      entry.data = entryJSON.data
+    }
+    return entry
+  }
+
   /**
    * Insert data entries within a single range.
    *
@@ -148,6 +796,10 @@ class PineTree extends GiveTreeNS.GiveTree {
    *    data entry (or summary entries) that can just meet this requirement will
    *    be chosen. Smaller is finer. Will be overridden by `chrRange.resolution`
    *    if both exists.
+   * @param {boolean} [props.bestAvailable] - fall back to the closest cached
+   *    resolution (finer or coarser) for ranges without data at the required
+   *    resolution, every entry will be tagged with the resolution it
+   *    represents as `.resolution`. See `PineNode.prototype.traverse`.
    * @returns {boolean} If the traverse breaks on `false`, returns `false`,
    *    otherwise `true`
    */
@@ -155,6 +807,202 @@ class PineTree extends GiveTreeNS.GiveTree {
     return super._traverse(...arguments)
   }
 
+  /**
+   * Get all data entries (or summary entries) within a chromosomal range
+   *    lazily, in coordinate order. This is the generator version of
+   *    `this.traverse`, so the iteration can be stopped at any time:
+   *
+   * ```javascript
+   * for (let entry of myTree.entries(myRegion, { resolution: 1000 })) {
+   *   if (shouldStop(entry)) {
+   *     break
+   *   }
+   * }
+   * ```
+   *
+   *    The tree should not be modified before the iteration is done.
+   *
+   * @generator
+   * @param {ChromRegion} chrRange - the chromosomal range to traverse
+   * @param {number} [chrRange.resolution] - the resolution required for the
+   *    traverse, this will override `props.resolution` if both exist.
+   * @param {Object} [props] - additional properties being passed onto nodes
+   * @param {number} [props.resolution] - the resolution that is required.
+   *    Will be overridden by `chrRange.resolution` if both exists.
+   * @param {function} [props.filter] - the filter function to be used (with
+   *    the entry as its sole parameter), return `false` to exclude the entry.
+   * @param {boolean} [props.bestAvailable] - fall back to the closest cached
+   *    resolution, see `this.traverse`.
+   * @yields {ChromRegion} the entries
+   */
+  * entries (chrRange, props) {
+    props = Object.assign({}, props)
+    if (!chrRange.chr || chrRange.chr === this.chr) {
+      let range = this._root.truncateChrRange(chrRange, true, true)
+      props.resolution = chrRange.resolution || props.resolution
+      yield * this._root.entries(range, props)
+    }
+  }
+
+  /**
+   * Aggregate the cached data within a chromosomal range into a fixed number
+   *    of equal-sized bins (one bin per pixel column, for example).
+   *
+   *    The resolution used is the closest resolution of the tree that is not
+   *    coarser than the bin size (see
+   *    `PineNode.prototype._getClosestResolution`).
+   *    Summaries of nodes at that resolution (never wider than a bin) are
+   *    merged into the bin containing the midpoint of the node, so every
+   *    summary is counted exactly once. Raw data entries are merged into
+   *    every bin they overlap with `addDataFromChromEntry`, weighted by the
+   *    overlapping part only (`CountSummary` counts each of them only in the
+   *    bin containing its start).
+   *
+   * @param {ChromRegion} chrRange - the chromosomal range
+   * @param {number} binCount - the number of bins, a positive integer
+   * @returns {Array<ChromRegion|null>} the bins in coordinate order, each with
+   *    a new summary (of `this._SummaryCtor`) attached. Bins with any part
+   *    not cached at the resolution (including parts being loaded and parts
+   *    outside the tree) will be `null`. If `chrRange` is not on the
+   *    chromosome of the tree, `[]` will be returned.
+   */
+  getBins (chrRange, binCount) {
+    if (typeof this._SummaryCtor !== 'function') {
+      throw new Error('Bins can only be used with summaries, but no ' +
+        'summary constructor is provided for the tree.')
+    }
+    if (!Number.isInteger(binCount) || binCount <= 0) {
+      throw new Error('Invalid number of bins: ' + binCount)
+    }
+    if (chrRange.chr && chrRange.chr !== this.chr) {
+      return []
+    }
+    let binWidth = (chrRange.end - chrRange.start) / binCount
+    let getBinStart = index =>
+      chrRange.start + Math.round(index * binWidth)
+
+    let bins = []
+    for (let index = 0; index < binCount; index++) {
+      bins.push(new this._SummaryCtor().attach(new ChromRegion({
+        chr: this.chr,
+        start: getBinStart(index),
+        end: getBinStart(index + 1)
+      })))
+    }
+    return this._aggregateIntoBins(bins,
+      this._root._getClosestResolution(binWidth))
+  }
+
+  /**
+   * Aggregate the cached data at a resolution into bins, see
+   *    `this.getBins` for details.
+   *
+   * @param {Array<ChromRegion>} bins - the bins, contiguous and in
+   *    coordinate order, each with a new summary attached. The array will be
+   *    modified.
+   * @param {number} resolution - the resolution of the data, should not be
+   *    coarser than any of the bins.
+   * @returns {Array<ChromRegion|null>} `bins`, with bins not fully cached
+   *    replaced by `null`.
+   */
+  _aggregateIntoBins (bins, resolution) {
+    let binCount = bins.length
+    if (!binCount) {
+      return bins
+    }
+    let binStarts = bins.map(bin => bin.start)
+    let rangeStart = bins[0].start
+    let rangeEnd = bins[binCount - 1].end
+    let getBinEnd = index =>
+      index < binCount - 1 ? binStarts[index + 1] : rangeEnd
+    // index of the last bin starting at or before `coordinate` (or `0`)
+    let getBinIndex = coordinate => {
+      let low = 0
+      let high = binCount - 1
+      while (low < high) {
+        let mid = (low + high + 1) >> 1
+        if (binStarts[mid] <= coordinate) {
+          low = mid
+        } else {
+          high = mid - 1
+        }
+      }
+      return low
+    }
+
+    let range = new ChromRegion({
+      chr: this.chr,
+      start: rangeStart,
+      end: rangeEnd
+    })
+    for (let entry of this.entries(range, { resolution: resolution })) {
+      if (entry.data instanceof this._SummaryCtor) {
+        let index = getBinIndex((entry.start + entry.end) / 2)
+        bins[index].data.addSummary(bins[index], entry.data)
+      } else {
+        for (let index = getBinIndex(entry.start);
+          index < binCount && bins[index].start < entry.end; index++
+        ) {
+          if (bins[index].end > entry.start) {
+            bins[index].data.addDataFromChromEntry(bins[index], entry)
+          }
+        }
+      }
+    }
+
+    // Bins overlapping uncached parts will be `null`
+    this._getUncachedParts(range, resolution).forEach(part => {
+      for (let index = getBinIndex(part.start);
+        index < binCount && binStarts[index] < part.end; index++
+      ) {
+        if (getBinEnd(index) > part.start) {
+          bins[index] = null
+        }
+      }
+    })
+    return bins
+  }
+
+  /**
+   * Get the parts of a chromosomal range without data ready at a resolution,
+   *    including parts being loaded and parts outside the tree.
+   *
+   * @param {ChromRegion} chrRange - the chromosomal range, on the chromosome
+   *    of the tree.
+   * @param {number} resolution - the resolution required
+   * @returns {Array<{start: number, end: number}>} the parts in coordinate
+   *    order, adjacent parts are merged.
+   */
+  _getUncachedParts (chrRange, resolution) {
+    const COVERAGE_STATES = PineNode.COVERAGE_STATES
+    let uncachedParts = []
+    let addPart = (start, end) => {
+      let lastPart = uncachedParts[uncachedParts.length - 1]
+      if (lastPart && lastPart.end === start) {
+        lastPart.end = end
+      } else {
+        uncachedParts.push({ start: start, end: end })
+      }
+    }
+    let coveredEnd = chrRange.start
+    this.getCoverageMap(chrRange, { resolution: resolution })
+      .forEach(segment => {
+        if (segment.start > coveredEnd) {
+          addPart(coveredEnd, segment.start)
+        }
+        if (segment.state === COVERAGE_STATES.UNCACHED ||
+          segment.state === COVERAGE_STATES.PENDING
+        ) {
+          addPart(segment.start, segment.end)
+        }
+        coveredEnd = segment.end
+      })
+    if (coveredEnd < chrRange.end) {
+      addPart(coveredEnd, chrRange.end)
+    }
+    return uncachedParts
+  }
+
   /**
    * Get an array of chrRegions that do not have data ready.
    * This is used for sectional loading.
@@ -177,12 +1025,613 @@ class PineTree extends GiveTreeNS.GiveTree {
    *
    *    Every returned chromosomal range will also have its corrsponding
    *    resolution in its `.resolution` property.
+   *
+   *    Ranges being loaded at the same or finer resolutions (see
+   *    `this.markPending`) will be excluded unless `props.includePending` is
+   *    `true`.
+   * @param {boolean} [props.includePending] - whether to include ranges that
+   *    are being loaded.
+   * @param {Array<Promise>} [props.pendingPromises] - if provided, promises
+   *    of loading the excluded ranges will be pushed into it, so they can be
+   *    waited for.
    */
   getUncachedRange (chrRange, props) {
-    return super.getUncachedRange(...arguments)
+    props = props || {}
+    let result = super.getUncachedRange(...arguments)
+    if (props.includePending || !this._pendingMarkers.length) {
+      return result
+    }
+    let pendingPromises = props.pendingPromises || []
+    return result.reduce((uncachedRanges, range) => {
+      this._splitByPending(range, range.resolution).forEach(piece => {
+        if (piece.marker) {
+          if (pendingPromises.indexOf(piece.marker.promise) < 0) {
+            pendingPromises.push(piece.marker.promise)
+          }
+        } else {
+          // Keep the range aligned to its resolution
+          uncachedRanges.push(new ChromRegion({
+            chr: range.chr,
+            start: Math.max(range.start, PineNode.fitResolution(
+              piece.start, range.resolution, Math.floor)),
+            end: Math.min(range.end, PineNode.fitResolution(
+              piece.end, range.resolution, Math.ceil)),
+            resolution: range.resolution
+          }))
+        }
+      })
+      return uncachedRanges
+    }, [])
+  }
+
+  /**
+   * Mark ranges as being loaded, so that they will be excluded from
+   *    `this.getUncachedRange` until `promise` settles (either fulfilled or
+   *    rejected). The ranges will be reported as uncached again if no data is
+   *    inserted for them by then, or if they are collapsed, withered or
+   *    cleared before that.
+   *
+   * @param {ChromRegion|Array<ChromRegion>} chrRanges - the ranges being
+   *    loaded, with their resolutions in `.resolution` (`1` if omitted), as
+   *    those returned by `this.getUncachedRange`.
+   * @param {Promise} promise - the promise of loading the ranges (including
+   *    inserting the data into the tree).
+   * @returns {Promise} `promise`
+   */
+  markPending (chrRanges, promise) {
+    if (!Array.isArray(chrRanges)) {
+      chrRanges = [chrRanges]
+    }
+    let markedRanges = chrRanges.filter(
+      range => !range.chr || range.chr === this.chr
+    ).map(range => {
+      let markedRange = this._root.truncateChrRange(range, true, true)
+      markedRange.resolution = range.resolution || 1
+      this._addPendingMarker({ chrRange: markedRange, promise: promise })
+      return markedRange
+    })
+    let releaseMarkers = () => {
+      // Markers may have been split by `this._releasePending`
+      markedRanges.forEach(range => this._findPendingMarkers(range, Infinity)
+        .filter(marker => marker.promise === promise)
+        .forEach(marker => this._removePendingMarker(marker)))
+    }
+    promise.then(releaseMarkers, releaseMarkers)
+    return promise
+  }
+
+  /**
+   * Split a chromosomal range by the markers of ranges being loaded at
+   *    `resolution` or finer resolutions.
+   *
+   * @param {ChromRegion} chrRange - the chromosomal range
+   * @param {number} resolution - the resolution required
+   * @returns {Array<Object>} contiguous pieces covering `chrRange`, each with
+   *    `.start`, `.end` and `.marker` (the marker covering the piece, or
+   *    `null` if not being loaded).
+   */
+  _splitByPending (chrRange, resolution) {
+    let pieces = []
+    let start = chrRange.start
+    this._findPendingMarkers(chrRange, resolution).forEach(marker => {
+      if (marker.chrRange.end > start) {
+        if (marker.chrRange.start > start) {
+          pieces.push({
+            start: start,
+            end: marker.chrRange.start,
+            marker: null
+          })
+        }
+        let end = Math.min(marker.chrRange.end, chrRange.end)
+        pieces.push({
+          start: Math.max(start, marker.chrRange.start),
+          end: end,
+          marker: marker
+        })
+        start = end
+      }
+    })
+    if (start < chrRange.end) {
+      pieces.push({ start: start, end: chrRange.end, marker: null })
+    }
+    return pieces
+  }
+
+  /**
+   * Get the index of the first marker in `this._pendingMarkers` starting at
+   *    or after a coordinate.
+   *
+   * @param {number} coordinate - the coordinate
+   * @returns {number} the index, `this._pendingMarkers.length` if all
+   *    markers start before `coordinate`.
+   */
+  _getPendingIndex (coordinate) {
+    let low = 0
+    let high = this._pendingMarkers.length
+    while (low < high) {
+      let mid = Math.floor((low + high) / 2)
+      if (this._pendingMarkers[mid].chrRange.start < coordinate) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+    return low
+  }
+
+  /**
+   * Get the markers of ranges being loaded at `resolution` or finer
+   *    resolutions that overlap a chromosomal range.
+   *
+   * @param {ChromRegion} chrRange - the chromosomal range
+   * @param {number} resolution - the resolution required
+   * @returns {Array<Object>} the markers, sorted by their starts
+   */
+  _findPendingMarkers (chrRange, resolution) {
+    let markers = []
+    // No marker starting before this can reach `chrRange`
+    let index = this._getPendingIndex(chrRange.start - this._pendingMaxLength)
+    while (index < this._pendingMarkers.length &&
+      this._pendingMarkers[index].chrRange.start < chrRange.end
+    ) {
+      let marker = this._pendingMarkers[index++]
+      if (marker.chrRange.resolution <= resolution &&
+        marker.chrRange.end > chrRange.start
+      ) {
+        markers.push(marker)
+      }
+    }
+    return markers
+  }
+
+  /**
+   * Add a marker of a range being loaded.
+   *
+   * @param {Object} marker - the marker, see `this._pendingMarkers`
+   */
+  _addPendingMarker (marker) {
+    this._pendingMarkers.splice(
+      this._getPendingIndex(marker.chrRange.start + 1), 0, marker)
+    this._pendingMaxLength = Math.max(this._pendingMaxLength,
+      marker.chrRange.end - marker.chrRange.start)
+  }
+
+  /**
+   * Remove a marker of a range being loaded.
+   *
+   * @param {Object} marker - the marker, see `this._pendingMarkers`
+   */
+  _removePendingMarker (marker) {
+    let index = this._pendingMarkers.indexOf(marker,
+      this._getPendingIndex(marker.chrRange.start))
+    if (index >= 0) {
+      this._pendingMarkers.splice(index, 1)
+      if (!this._pendingMarkers.length) {
+        this._pendingMaxLength = 0
+      }
+    }
+  }
+
+  /**
+   * Stop marking a chromosomal range as being loaded at resolutions finer
+   *    than `resolution`, because the data there has been dropped (by
+   *    `this.collapse`, `this.wither` or `PineNode.prototype.clear`), and
+   *    should be reported as uncached even if the loading is still going on.
+   *    Parts of the markers outside the range will still be marked.
+   *
+   * @param {ChromRegion} chrRange - the chromosomal range
+   * @param {number} resolution - the resolution, markers at this resolution
+   *    or coarser will be kept.
+   */
+  _releasePending (chrRange, resolution) {
+    if (!this._pendingMarkers.length) {
+      return
+    }
+    this._findPendingMarkers(chrRange, resolution).filter(
+      marker => marker.chrRange.resolution < resolution
+    ).forEach(marker => {
+      this._removePendingMarker(marker)
+      let addPiece = (start, end) => {
+        if (start < end) {
+          let pieceRange = new ChromRegion({
+            chr: this.chr,
+            start: start,
+            end: end
+          })
+          pieceRange.resolution = marker.chrRange.resolution
+          this._addPendingMarker(
+            { chrRange: pieceRange, promise: marker.promise })
+        }
+      }
+      addPiece(marker.chrRange.start, chrRange.start)
+      addPiece(chrRange.end, marker.chrRange.end)
+    })
+  }
+
+  /**
+   * Get a map of the caching status within a chromosomal range, as
+   *    contiguous segments labelled with their states (uncached, known to be
+   *    empty, summary at some resolution, or raw data).
+   *
+   * @param {ChromRegion} chrRange - the chromosomal range to query
+   * @param {number} [chrRange.resolution] - the resolution required, this
+   *    will override `props.resolution` if both exist.
+   * @param {Object} [props] - additional properties being passed onto nodes
+   * @param {number} [props.resolution] - the resolution that is required.
+   *    Smaller is finer. Will be overridden by `chrRange.resolution` if both
+   *    exists.
+   * @returns {Array<ChromRegion>} the segments, see
+   *    `PineNode.prototype.getCoverageMap` for their properties. If
+   *    `chrRange` is not on the chromosome of the tree, `[]` will be
+   *    returned.
+   */
+  getCoverageMap (chrRange, props) {
+    props = props || {}
+    if (!chrRange.chr || chrRange.chr === this.chr) {
+      props.resolution = chrRange.resolution || props.resolution
+      let segments = this._root.getCoverageMap(
+        this._root.truncateChrRange(chrRange, true, true), props)
+      return this._pendingMarkers.length
+        ? this._markPendingSegments(segments, props.resolution || 1)
+        : segments
+    }
+    return []
+  }
+
+  /**
+   * Split uncached segments of a coverage map by the markers of ranges being
+   *    loaded, segments being loaded will have a state of
+   *    `PineNode.COVERAGE_STATES.PENDING`, and the resolution being loaded.
+   *
+   * @param {Array<ChromRegion>} segments - the coverage map
+   * @param {number} resolution - the resolution required
+   * @returns {Array<ChromRegion>} the new coverage map
+   */
+  _markPendingSegments (segments, resolution) {
+    const COVERAGE_STATES = PineNode.COVERAGE_STATES
+    return segments.reduce((result, segment) => {
+      if (segment.state !== COVERAGE_STATES.UNCACHED) {
+        result.push(segment)
+        return result
+      }
+      this._splitByPending(segment, resolution).forEach(piece => {
+        let state = piece.marker
+          ? COVERAGE_STATES.PENDING : COVERAGE_STATES.UNCACHED
+        let pieceResolution = piece.marker
+          ? piece.marker.chrRange.resolution : segment.resolution
+        let lastSegment = result[result.length - 1]
+        if (lastSegment && lastSegment.state === state &&
+          lastSegment.resolution === pieceResolution &&
+          lastSegment.end === piece.start
+        ) {
+          lastSegment.end = piece.end
+        } else {
+          let newSegment = new ChromRegion({
+            chr: segment.chr,
+            start: piece.start,
+            end: piece.end
+          })
+          newSegment.state = state
+          newSegment.resolution = pieceResolution
+          result.push(newSegment)
+        }
+      })
+      return result
+    }, [])
+  }
+
+  /**
+   * Fetch all uncached data within a chromosomal range, insert them into the
+   *    tree, then traverse the range.
+   *
+   *    Uncached ranges are found by `this.getUncachedRange`, all of them will
+   *    be fetched at the same time. Data are inserted (in coordinate order)
+   *    only after all fetches are done and checked, so nothing will be
+   *    inserted if any of them fails or is invalid.
+   *
+   *    Ranges being fetched are marked as pending (see `this.markPending`),
+   *    so overlapping queries before they are loaded will wait for them
+   *    instead of fetching them again. If the loading fails, the waiting
+   *    queries will be rejected with the same error; if it is aborted, they
+   *    will fetch the ranges by themselves.
+   *
+   * @param {ChromRegion} chrRange - the chromosomal range to query
+   * @param {number} [chrRange.resolution] - the resolution required, this
+   *    will override `props.resolution` if both exist.
+   * @param {Object} props - properties of the query
+   * @param {function} props.fetcher - the function to fetch data for an
+   *    uncached range (as its first parameter, with `.resolution`). It should
+   *    return (or resolve with) a sorted array of all data entries
+   *    overlapping the range (or summary entries, if `.resolution > 1`),
+   *    `null` means there is no data. Entries starting before the range will
+   *    be used as those continued from previous ranges.
+   *
+   *    An object with `props.signal` as its `.signal` will be passed as the
+   *    second parameter so that the fetch can be cancelled as well.
+   * @param {number} [props.resolution] - the resolution that is required.
+   *    Smaller is finer. Will be overridden by `chrRange.resolution` if both
+   *    exists.
+   * @param {number} [props.bufferingRatio] - see `this.getUncachedRange`
+   * @param {function} [props.filter] - the filter function used in traverse,
+   *    see `this.traverse`
+   * @param {AbortSignal} [props.signal] - the signal to abort the query. Once
+   *    aborted, ranges being fetched by the query will no longer be marked as
+   *    pending, data fetched afterwards will be discarded, and the query will
+   *    be rejected with an error named `'AbortError'`.
+   * @returns {Promise<Array<ChromRegion>>} resolved with all data entries
+   *    (or summary entries) traversed in `chrRange`, or rejected with the
+   *    error from the fetcher.
+   */
+  query (chrRange, props) {
+    props = props || {}
+    if (typeof props.fetcher !== 'function') {
+      return Promise.reject(new Error('A fetcher function is needed for ' +
+        'queries, got: ' + props.fetcher))
+    }
+    if (props.signal && props.signal.aborted) {
+      return Promise.reject(this.constructor._createAbortError())
+    }
+    let abortHandler = null
+    let abortPromise = props.signal ? new Promise((resolve, reject) => {
+      abortHandler = () => reject(this.constructor._createAbortError())
+      props.signal.addEventListener('abort', abortHandler)
+    }) : null
+    let abortable = promise => abortPromise
+      ? Promise.race([promise, abortPromise]) : promise
+
+    let resolution = chrRange.resolution || props.resolution || 1
+    let pendingPromises = []
+    let uncachedRanges = this.getUncachedRange(chrRange, {
+      resolution: resolution,
+      bufferingRatio: props.bufferingRatio,
+      pendingPromises: pendingPromises
+    })
+    let loadingPromise = uncachedRanges.length
+      ? this.markPending(uncachedRanges, abortable(Promise.all(
+        uncachedRanges.map(range => Promise.resolve().then(
+          () => props.fetcher(range, { signal: props.signal })))
+      )).then(responses => {
+        if (props.signal && props.signal.aborted) {
+          // Discard responses arriving after the abort
+          throw this.constructor._createAbortError()
+        }
+        this._insertResponses(responses, uncachedRanges)
+      }))
+      : Promise.resolve()
+    let allLoadedPromise = Promise.all([loadingPromise].concat(
+      pendingPromises.map(promise => promise.catch(err => {
+        if (err && err.name === 'AbortError') {
+          // Other queries being aborted should not abort this one
+          return null
+        }
+        throw err
+      }))))
+    let queryPromise = abortable(allLoadedPromise).then(() => {
+      if (pendingPromises.length) {
+        // Ranges loaded by other queries may have been aborted (or withered),
+        //    query again to fetch whatever is still missing.
+        return this.query(chrRange, props)
+      }
+      let result = []
+      this.traverse(chrRange, entry => { result.push(entry) },
+        props.filter, false, { resolution: resolution })
+      return result
+    })
+    if (abortHandler) {
+      let removeAbortHandler = () =>
+        props.signal.removeEventListener('abort', abortHandler)
+      queryPromise.then(removeAbortHandler, removeAbortHandler)
+    }
+    return queryPromise
+  }
+
+  /**
+   * Create the error used to reject aborted queries.
+   *
+   * @static
+   * @returns {Error} the error, with `.name === 'AbortError'` (the same as
+   *    aborted `fetch()` calls).
+   */
+  static _createAbortError () {
+    let error = new Error('The query has been aborted.')
+    error.name = 'AbortError'
+    return error
+  }
+
+  /**
+   * Insert responses of fetchers for uncached ranges, then wither least
+   *    recently used nodes if needed (after all insertions, so that the
+   *    inserted data will not be withered before being traversed).
+   *
+   *    All responses are checked before anything is inserted, then merged
+   *    and inserted in one call, so that entries spanning several ranges
+   *    are inserted only once and passed on in `continuedList`. If the
+   *    insertion fails half way, all ranges will be discarded so that they
+   *    will be reported as uncached instead of partially loaded.
+   *
+   * @param {Array<Array<ChromRegion>|null>} responses - the responses
+   * @param {Array<ChromRegion>} chrRanges - the uncached ranges, in
+   *    coordinate order
+   */
+  _insertResponses (responses, chrRanges) {
+    let data = []
+    responses.forEach((response, index) => {
+      let prevRange = chrRanges[index - 1]
+      this.constructor._normalizeResponse(response, chrRanges[index])
+        .forEach(entry => {
+          // Entries overlapping the previous range are already there
+          if (!prevRange || entry.start >= prevRange.end) {
+            data.push(entry)
+          }
+        })
+    })
+    try {
+      super.insert(data, chrRanges, {})
+    } catch (err) {
+      this._discard(chrRanges)
+      throw err
+    }
+    if (typeof this.maxEntries === 'number') {
+      this.wither()
+    }
+  }
+
+  /**
+   * Drop everything cached within ranges (summaries of nodes covering
+   *    the ranges only partially will be kept).
+   *
+   * @param {Array<ChromRegion>} chrRanges - the ranges to discard
+   */
+  _discard (chrRanges) {
+    chrRanges.forEach(range => {
+      range = this._root.truncateChrRange(range, true, true)
+      this._root._discard(range)
+      this._releasePending(range, Infinity)
+    })
+  }
+
+  /**
+   * Check the response of a fetcher and get the data entries for insertion.
+   *
+   * @static
+   * @param {Array<ChromRegion>|null} response - the response
+   * @param {ChromRegion} chrRange - the range being fetched
+   * @returns {Array<ChromRegion>} the data entries overlapping `chrRange`,
+   *    in a new array (`insert` will modify the array)
+   */
+  static _normalizeResponse (response, chrRange) {
+    if (response === null || response === undefined || response === false) {
+      return []
+    }
+    if (!Array.isArray(response)) {
+      throw new Error('Data fetched for ' + chrRange + ' is not an array: ' +
+        response)
+    }
+    let entries = response.filter(entry =>
+      (!entry.chr || entry.chr === chrRange.chr) &&
+      entry.start < chrRange.end && entry.end > chrRange.start)
+    entries.forEach((entry, index) => {
+      if (index > 0 && entry.start < entries[index - 1].start) {
+        throw new Error('Data fetched for ' + chrRange + ' are not sorted: ' +
+          'entry starting at ' + entry.start + ' appears after the one ' +
+          'starting at ' + entries[index - 1].start + '.')
+      }
+    })
+    return entries
+  }
+
+  /**
+   * Get ranges worth prefetching around the current viewport, *i.e.* the
+   *    neighbouring ranges on both sides at the same resolution, and the
+   *    ranges one zoom level out and in (following the resolutions of the
+   *    tree).
+   *
+   *    Ranges that are already cached (see `this.hasUncachedRange`) or being
+   *    loaded (see `this.markPending`) will be excluded. The returned ranges
+   *    can be prefetched by `this.query` when the network is idle.
+   *
+   * @param {ChromRegion} chrRange - the current viewport
+   * @param {number} [chrRange.resolution] - the resolution of the viewport,
+   *    this will override `props.resolution` if both exist.
+   * @param {Object} [props] - additional properties
+   * @param {number} [props.resolution] - the resolution of the viewport.
+   *    Will be overridden by `chrRange.resolution` if both exists.
+   * @param {string} [props.direction] - the direction the viewport is
+   *    panning to, `'left'` or `'right'` (default). The neighbouring range in
+   *    this direction will be prioritized.
+   * @returns {Array<ChromRegion>} the ranges in priority order (neighbours in
+   *    `props.direction`, neighbours in the other direction, zooming out,
+   *    then zooming in). Every range will have its resolution in
+   *    `.resolution`, and one of `PineTree.PREFETCH_TYPES` in
+   *    `.prefetchType`.
+   */
+  getPrefetchRanges (chrRange, props) {
+    props = props || {}
+    if (chrRange.chr && chrRange.chr !== this.chr) {
+      return []
+    }
+    const PREFETCH_TYPES = this.constructor.PREFETCH_TYPES
+    let resolution = chrRange.resolution || props.resolution || 1
+    let width = chrRange.end - chrRange.start
+    let center = (chrRange.start + chrRange.end) / 2
+    let candidates = []
+    let addCandidate = (start, end, candidateResolution, prefetchType) => {
+      start = Math.max(this._root.start, Math.floor(start))
+      end = Math.min(this._root.end, Math.ceil(end))
+      if (start < end) {
+        let candidate = new ChromRegion({
+          chr: this.chr,
+          start: start,
+          end: end,
+          resolution: candidateResolution
+        })
+        candidate.prefetchType = prefetchType
+        candidates.push(candidate)
+      }
+    }
+
+    let leftFirst = props.direction === 'left'
+    addCandidate(leftFirst ? chrRange.start - width : chrRange.end,
+      leftFirst ? chrRange.start : chrRange.end + width, resolution,
+      leftFirst ? PREFETCH_TYPES.LEFT : PREFETCH_TYPES.RIGHT)
+    addCandidate(leftFirst ? chrRange.end : chrRange.start - width,
+      leftFirst ? chrRange.end + width : chrRange.start, resolution,
+      leftFirst ? PREFETCH_TYPES.RIGHT : PREFETCH_TYPES.LEFT)
+
+    // Zoom levels follow the resolutions of the tree, resolutions coarser
+    //    than the root are at the level of the root
+    let ladder = this._getResolutionLadder()
+    let level = 0
+    while (level < ladder.length - 1 && ladder[level + 1] <= resolution) {
+      level++
+    }
+    if (level < ladder.length - 1) {
+      let zoomFactor = ladder[level + 1] / ladder[level]
+      addCandidate(center - width * zoomFactor / 2,
+        center + width * zoomFactor / 2, resolution * zoomFactor,
+        PREFETCH_TYPES.ZOOM_OUT)
+    }
+    if (level > 0) {
+      let zoomFactor = ladder[level] / ladder[level - 1]
+      addCandidate(center - width / zoomFactor / 2,
+        center + width / zoomFactor / 2,
+        Math.max(1, resolution / zoomFactor), PREFETCH_TYPES.ZOOM_IN)
+    }
+
+    return candidates.filter(candidate =>
+      this.hasUncachedRange(candidate, { resolution: candidate.resolution }) &&
+      !this._splitByPending(candidate, candidate.resolution).every(
+        piece => piece.marker)
+    )
+  }
+
+  /**
+   * Get all resolutions of the nodes in the tree, from the finest (`1`) to
+   *    the resolution of the root.
+   *
+   * @returns {Array<number>} the resolutions, in ascending order
+   */
+  _getResolutionLadder () {
+    let ladder = [1]
+    for (let revDepth = 0; revDepth <= this._root.reverseDepth; revDepth++) {
+      ladder.push(this._root._getResolutionAtDepth(revDepth))
+    }
+    return ladder
   }
 }
 
+/**
+ * Types of ranges returned by `PineTree.prototype.getPrefetchRanges`
+ * @static
+ * @type {Object<string, string>}
+ */
+PineTree.PREFETCH_TYPES = {
+  LEFT: 'left',
+  RIGHT: 'right',
+  ZOOM_OUT: 'zoomOut',
+  ZOOM_IN: 'zoomIn'
+}
+
 /**
  * ********** Default values **********
  * These values may need to be tweaked.
@@ -200,5 +1649,26 @@ PineTree._DEFAULT_SCALING_FACTOR = 20
  * @type {number}
  */
 PineTree._DEFAULT_LEAF_SCALING_FACTOR = 100
+/**
+ * Default number of data entries in every chunk of
+ *    `PineTree.prototype.insertStream`
+ * @static
+ * @type {number}
+ */
+PineTree._DEFAULT_CHUNK_SIZE = 10000
+/**
+ * Estimated sizes (in bytes) of tree components, used to estimate memory
+ *    usage in `PineTree.prototype.getStats`. `key` is the size of one key and
+ *    its corresponding value.
+ * @static
+ * @type {Object<string, number>}
+ */
+PineTree._ESTIMATED_SIZES = {
+  node: 120,
+  key: 16,
+  summary: 160,
+  leafNode: 100,
+  entry: 200
+}
 
 module.exports = PineTree
@@ -0,0 +1,238 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module CompositeSummary
+ */
+
+const SummaryBase = require('./summaryBase')
+
+/**
+ * Summary bundling several named summaries (fields), so that one tree can
+ *    serve multiple aspects of the same data (for example, coverage of both
+ *    strands and methylation ratio). Every field is merged independently.
+ *
+ * Use `CompositeSummary.withFields` to get a summary class with the fields.
+ *    By default, the value of field `name` in a raw data entry is read from
+ *    `chromEntry.data[name]` (or `chromEntry.data[name].value` if it is an
+ *    object).
+ *
+ * @property {Object<string, SummaryBase>} fields - summaries of all fields
+ *
+ * @class
+ * @alias module:CompositeSummary
+ * @extends SummaryBase
+ */
+class CompositeSummary extends SummaryBase {
+  constructor () {
+    super()
+    this.fields = {}
+    for (let name in this.constructor._FIELD_CTORS) {
+      this.fields[name] = new this.constructor._FIELD_CTORS[name]()
+    }
+  }
+
+  /**
+   * Get a summary class derived from `this` with the fields.
+   *
+   * @static
+   * @param  {Object<string, function>} fieldCtors - summary constructors for
+   *    all fields, keyed by field names.
+   * @param  {Object<string, function>} [valueGetters] - functions to get the
+   *    value of the field from a raw data entry (as their sole parameter),
+   *    keyed by field names. Fields without a function here will use the
+   *    default one.
+   * @returns {function} the derived summary class
+   */
+  static withFields (fieldCtors, valueGetters) {
+    for (let name in fieldCtors) {
+      if (typeof fieldCtors[name] !== 'function') {
+        throw new Error('Summary constructor for field `' + name +
+          '` is not a function: ' + fieldCtors[name])
+      }
+    }
+    class DerivedCompositeSummary extends this {}
+    DerivedCompositeSummary._FIELD_CTORS = Object.assign({}, fieldCtors)
+    DerivedCompositeSummary._VALUE_GETTERS = Object.assign({}, valueGetters)
+    return DerivedCompositeSummary
+  }
+
+  static _fromData (data) {
+    let fieldsData = data.fields || data
+    let summary = new this()
+    for (let name in this._FIELD_CTORS) {
+      summary.fields[name] = this._FIELD_CTORS[name].extract(
+        { data: fieldsData[name] })
+      if (!summary.fields[name]) {
+        return null
+      }
+    }
+    return summary
+  }
+
+  static fromJSON (json) {
+    let summary = new this()
+    let fieldsJSON = json.fields || {}
+    for (let name in this._FIELD_CTORS) {
+      if (fieldsJSON[name]) {
+        summary.fields[name] =
+          this._FIELD_CTORS[name].fromJSON(fieldsJSON[name])
+      }
+    }
+    return summary
+  }
+
+  /**
+   * Create a composite summary from its binary representation, which
+   *    consists of the length and the binary representation of every field in
+   *    the order of `this._FIELD_CTORS`.
+   *
+   * @static
+   * @param  {Array<number>|Float64Array} values - the binary representation
+   * @returns {CompositeSummary} the summary object
+   */
+  static fromBinary (values) {
+    let summary = new this()
+    let offset = 0
+    for (let name in this._FIELD_CTORS) {
+      let length = values[offset]
+      summary.fields[name] = this._FIELD_CTORS[name].fromBinary(
+        Array.prototype.slice.call(values, offset + 1, offset + 1 + length))
+      offset += length + 1
+    }
+    return summary
+  }
+
+  /**
+   * Create a composite summary from the moments of the values, all fields
+   *    will be built from the same moments.
+   *
+   * @static
+   * @param  {Object} moments - the moments, see `SummaryBase.fromMoments`.
+   * @returns {CompositeSummary|null} the summary object, or `null` if any of
+   *    the fields cannot be built from the moments.
+   */
+  static fromMoments (moments) {
+    let summary = new this()
+    for (let name in this._FIELD_CTORS) {
+      summary.fields[name] = this._FIELD_CTORS[name].fromMoments(moments)
+      if (!summary.fields[name]) {
+        return null
+      }
+    }
+    return summary
+  }
+
+  /**
+   * Get the value of a field from a raw data entry.
+   *
+   * @static
+   * @param  {ChromRegion} chromEntry - the raw data entry
+   * @param  {string} name - name of the field
+   * @returns {number} the value of the field
+   */
+  static getFieldValue (chromEntry, name) {
+    if (typeof this._VALUE_GETTERS[name] === 'function') {
+      return this._VALUE_GETTERS[name](chromEntry)
+    }
+    let fieldData = chromEntry.data && chromEntry.data[name]
+    return (fieldData && typeof fieldData === 'object')
+      ? fieldData.value : fieldData
+  }
+
+  /**
+   * Get the summary of a field from a `ChromRegion` with the composite
+   *    summary attached, for example, entries from
+   *    `PineTree.prototype.traverse`.
+   *
+   * @static
+   * @param  {ChromRegion} chromEntry - the region with the summary
+   * @param  {string} name - name of the field
+   * @returns {SummaryBase|null} the summary of the field, `null` if there is
+   *    no summary in `chromEntry`.
+   */
+  static getField (chromEntry, name) {
+    let summary = this.extract(chromEntry)
+    return summary ? summary.getField(name) : null
+  }
+
+  /**
+   * Get the summary of a field.
+   *
+   * @param  {string} name - name of the field
+   * @returns {SummaryBase|null} the summary of the field, `null` if there is
+   *    no such field.
+   */
+  getField (name) {
+    return this.fields[name] || null
+  }
+
+  toJSON () {
+    let fieldsJSON = {}
+    for (let name in this.fields) {
+      fieldsJSON[name] = this.fields[name].toJSON()
+    }
+    return { fields: fieldsJSON }
+  }
+
+  toBinary () {
+    let result = []
+    for (let name in this.constructor._FIELD_CTORS) {
+      let fieldValues = this.fields[name].toBinary()
+      result.push(fieldValues.length)
+      result = result.concat(fieldValues)
+    }
+    return result
+  }
+
+  addSummary (node, summary) {
+    for (let name in this.fields) {
+      this.fields[name].addSummary(node, summary.fields[name])
+    }
+  }
+
+  addDataFromChromEntry (node, chromEntry) {
+    let weight = this.constructor.getWeight(node, chromEntry)
+    if (weight > 0) {
+      for (let name in this.fields) {
+        let value = this.constructor.getFieldValue(chromEntry, name)
+        if (typeof value === 'number' && !isNaN(value)) {
+          this.fields[name].addValue(value, weight)
+        }
+      }
+    }
+  }
+
+  addValue (value, weight) {
+    for (let name in this.fields) {
+      this.fields[name].addValue(value, weight)
+    }
+  }
+}
+
+/**
+ * Summary constructors of all fields
+ * @static
+ * @type {Object<string, function>}
+ */
+CompositeSummary._FIELD_CTORS = {}
+/**
+ * Functions to get the values of the fields from raw data entries
+ * @static
+ * @type {Object<string, function>}
+ */
+CompositeSummary._VALUE_GETTERS = {}
+
+module.exports = CompositeSummary
@@ -0,0 +1,72 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module CountSummary
+ */
+
+const SummaryBase = require('./summaryBase')
+
+/**
+ * Summary counting the number of data entries.
+ *
+ * @property {number} count - number of data entries starting within the
+ *    summarized range
+ *
+ * @class
+ * @alias module:CountSummary
+ * @extends SummaryBase
+ */
+class CountSummary extends SummaryBase {
+  constructor () {
+    super()
+    this.count = 0
+  }
+
+  /**
+   * The number of data entries.
+   *
+   * @type {number}
+   */
+  get value () {
+    return this.count
+  }
+
+  addSummary (node, summary) {
+    this.count += summary.count
+  }
+
+  /**
+   * Count `chromEntry` if it starts within `node`, regardless of its value.
+   *    Entries overlapping several nodes (or bins) are only counted in the
+   *    one containing their start.
+   *
+   * @param  {ChromRegion} node - the node (or bin) being summarized
+   * @param  {ChromRegion} chromEntry - the raw data entry
+   */
+  addDataFromChromEntry (node, chromEntry) {
+    if (chromEntry.start >= node.start) {
+      this.addValue()
+    }
+  }
+
+  addValue (value, weight) {
+    this.count++
+  }
+}
+
+CountSummary._FIELDS = ['count']
+
+module.exports = CountSummary
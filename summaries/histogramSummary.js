@@ -0,0 +1,241 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module HistogramSummary
+ */
+
+const SummaryBase = require('./summaryBase')
+
+/**
+ * Summary of the distribution of values as a fixed-bin histogram, weighted by
+ *    bases. This can be used to get (approximate) quantiles for box plots or
+ *    the binned histogram itself for violin plots.
+ *
+ * Bins are fixed for the summary class (`_MIN_VALUE`, `_MAX_VALUE` and
+ *    `_BIN_COUNT`), so histograms merge exactly across different nodes. Use
+ *    `HistogramSummary.withBins` to get a summary class with different bins.
+ *    Values out of the range will be counted in the first or the last bin.
+ *
+ * @property {number} validCount - number of bases with data
+ * @property {number} min - minimum value, `Infinity` if there is no data
+ * @property {number} max - maximum value, `-Infinity` if there is no data
+ * @property {Array<number>} bins - number of bases within every bin
+ *
+ * @class
+ * @alias module:HistogramSummary
+ * @extends SummaryBase
+ */
+class HistogramSummary extends SummaryBase {
+  constructor () {
+    super()
+    this.validCount = 0
+    this.min = Infinity
+    this.max = -Infinity
+    this.bins = new Array(this.constructor._BIN_COUNT).fill(0)
+  }
+
+  /**
+   * Get a summary class derived from `this` with different bins.
+   *
+   * @static
+   * @param  {number} minValue - lower boundary of the first bin
+   * @param  {number} maxValue - upper boundary of the last bin
+   * @param  {number} binCount - number of bins
+   * @returns {function} the derived summary class
+   */
+  static withBins (minValue, maxValue, binCount) {
+    if (!(maxValue > minValue) || !Number.isInteger(binCount) ||
+      binCount <= 0
+    ) {
+      throw new Error('Invalid bins: ' + binCount + ' bins within [' +
+        minValue + ', ' + maxValue + '].')
+    }
+    class DerivedHistogramSummary extends this {}
+    DerivedHistogramSummary._MIN_VALUE = minValue
+    DerivedHistogramSummary._MAX_VALUE = maxValue
+    DerivedHistogramSummary._BIN_COUNT = binCount
+    return DerivedHistogramSummary
+  }
+
+  static _fromData (data) {
+    if (!Array.isArray(data.bins) ||
+      data.bins.length !== this._BIN_COUNT
+    ) {
+      return null
+    }
+    let summary = super._fromData(data)
+    if (summary) {
+      summary.bins = data.bins.slice()
+    }
+    return summary
+  }
+
+  static fromJSON (json) {
+    let summary = super.fromJSON(json)
+    if (Array.isArray(json.bins) && json.bins.length === summary.bins.length) {
+      summary.bins = json.bins.slice()
+    }
+    return summary
+  }
+
+  static fromBinary (values) {
+    let summary = super.fromBinary(values)
+    let binStart = this._FIELDS.length
+    for (let i = 0; i < summary.bins.length; i++) {
+      summary.bins[i] = values[binStart + i]
+    }
+    return summary
+  }
+
+  /**
+   * Get approximate quantiles from a `ChromRegion` with the summary
+   *    attached, for example, `PineNode.prototype.summaryChromRegion` or
+   *    entries from `PineTree.prototype.traverse`.
+   *
+   * @static
+   * @param  {ChromRegion} chromEntry - the region with the summary
+   * @param  {Array<number>} quantiles - quantiles to get, within `[0, 1]`.
+   * @returns {Array<number>|null} the approximate values, `null` if there is
+   *    no summary in `chromEntry`.
+   */
+  static getQuantiles (chromEntry, quantiles) {
+    let summary = this.extract(chromEntry)
+    return summary ? summary.quantiles(quantiles) : null
+  }
+
+  /**
+   * The width of every bin
+   *
+   * @type {number}
+   */
+  get binWidth () {
+    return (this.constructor._MAX_VALUE - this.constructor._MIN_VALUE) /
+      this.constructor._BIN_COUNT
+  }
+
+  /**
+   * The approximate median value, `null` if there is no data.
+   *
+   * @type {number|null}
+   */
+  get value () {
+    return this.quantile(0.5)
+  }
+
+  /**
+   * Get the lower boundary of a bin.
+   *
+   * @param  {number} index - index of the bin, use `this.bins.length` to get
+   *    the upper boundary of the last bin.
+   * @returns {number} the lower boundary
+   */
+  getBinStart (index) {
+    return this.constructor._MIN_VALUE + index * this.binWidth
+  }
+
+  toJSON () {
+    let json = super.toJSON()
+    json.bins = this.bins.slice()
+    return json
+  }
+
+  toBinary () {
+    return super.toBinary().concat(this.bins)
+  }
+
+  addSummary (node, summary) {
+    if (summary.validCount > 0) {
+      this.validCount += summary.validCount
+      this.min = Math.min(this.min, summary.min)
+      this.max = Math.max(this.max, summary.max)
+      summary.bins.forEach((binCount, index) => {
+        this.bins[index] += binCount
+      })
+    }
+  }
+
+  addValue (value, weight) {
+    let index = Math.floor(
+      (value - this.constructor._MIN_VALUE) / this.binWidth)
+    index = Math.min(Math.max(index, 0), this.bins.length - 1)
+    this.bins[index] += weight
+    this.validCount += weight
+    this.min = Math.min(this.min, value)
+    this.max = Math.max(this.max, value)
+  }
+
+  /**
+   * Get an approximate quantile, values are assumed to be evenly
+   *    distributed within every bin.
+   *
+   * @param  {number} quantile - the quantile, within `[0, 1]`.
+   * @returns {number|null} the approximate value, `null` if there is no
+   *    data.
+   */
+  quantile (quantile) {
+    if (!(this.validCount > 0)) {
+      return null
+    }
+    let target = Math.min(Math.max(quantile, 0), 1) * this.validCount
+    let cumulative = 0
+    for (let index = 0; index < this.bins.length; index++) {
+      if (this.bins[index] > 0 && cumulative + this.bins[index] >= target) {
+        // values out of the range are in the first and the last bin
+        let binStart = index > 0
+          ? Math.max(this.getBinStart(index), this.min) : this.min
+        let binEnd = index < this.bins.length - 1
+          ? Math.min(this.getBinStart(index + 1), this.max) : this.max
+        return binStart +
+          (binEnd - binStart) * (target - cumulative) / this.bins[index]
+      }
+      cumulative += this.bins[index]
+    }
+    return this.max
+  }
+
+  /**
+   * Get multiple approximate quantiles.
+   *
+   * @param  {Array<number>} quantiles - the quantiles, within `[0, 1]`.
+   * @returns {Array<number|null>} the approximate values.
+   */
+  quantiles (quantiles) {
+    return quantiles.map(quantile => this.quantile(quantile))
+  }
+}
+
+HistogramSummary._FIELDS = ['validCount', 'min', 'max']
+
+/**
+ * Lower boundary of the first bin
+ * @static
+ * @type {number}
+ */
+HistogramSummary._MIN_VALUE = 0
+/**
+ * Upper boundary of the last bin
+ * @static
+ * @type {number}
+ */
+HistogramSummary._MAX_VALUE = 100
+/**
+ * Number of bins
+ * @static
+ * @type {number}
+ */
+HistogramSummary._BIN_COUNT = 100
+
+module.exports = HistogramSummary
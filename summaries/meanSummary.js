@@ -0,0 +1,52 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module MeanSummary
+ */
+
+const SumSummary = require('./sumSummary')
+
+/**
+ * Summary of the mean value, weighted by bases.
+ *
+ * @property {number} validCount - number of bases with data
+ * @property {number} sum - sum of values over all bases with data
+ *
+ * @class
+ * @alias module:MeanSummary
+ * @extends SumSummary
+ */
+class MeanSummary extends SumSummary {
+  /**
+   * The mean value over all bases with data, `0` if there is no data.
+   *
+   * @type {number}
+   */
+  get mean () {
+    return this.validCount > 0 ? this.sum / this.validCount : 0
+  }
+
+  /**
+   * The mean value, `null` if there is no data.
+   *
+   * @type {number|null}
+   */
+  get value () {
+    return this.validCount > 0 ? this.mean : null
+  }
+}
+
+module.exports = MeanSummary
@@ -0,0 +1,77 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module MinMaxSummary
+ */
+
+const SummaryBase = require('./summaryBase')
+
+/**
+ * Summary of the minimum and maximum values.
+ *
+ * @property {number} validCount - number of bases with data
+ * @property {number} min - minimum value, `Infinity` if there is no data
+ * @property {number} max - maximum value, `-Infinity` if there is no data
+ *
+ * @class
+ * @alias module:MinMaxSummary
+ * @extends SummaryBase
+ */
+class MinMaxSummary extends SummaryBase {
+  constructor () {
+    super()
+    this.validCount = 0
+    this.min = Infinity
+    this.max = -Infinity
+  }
+
+  static fromMoments (moments) {
+    let summary = new this()
+    if (moments.validCount > 0) {
+      summary.validCount = moments.validCount
+      summary.min = moments.min
+      summary.max = moments.max
+    }
+    return summary
+  }
+
+  /**
+   * The maximum value, `null` if there is no data.
+   *
+   * @type {number|null}
+   */
+  get value () {
+    return this.validCount > 0 ? this.max : null
+  }
+
+  addSummary (node, summary) {
+    if (summary.validCount > 0) {
+      this.validCount += summary.validCount
+      this.min = Math.min(this.min, summary.min)
+      this.max = Math.max(this.max, summary.max)
+    }
+  }
+
+  addValue (value, weight) {
+    this.validCount += weight
+    this.min = Math.min(this.min, value)
+    this.max = Math.max(this.max, value)
+  }
+}
+
+MinMaxSummary._FIELDS = ['validCount', 'min', 'max']
+
+module.exports = MinMaxSummary
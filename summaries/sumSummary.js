@@ -0,0 +1,68 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module SumSummary
+ */
+
+const SummaryBase = require('./summaryBase')
+
+/**
+ * Summary of the sum of values, weighted by bases.
+ *
+ * @property {number} validCount - number of bases with data
+ * @property {number} sum - sum of values over all bases with data
+ *
+ * @class
+ * @alias module:SumSummary
+ * @extends SummaryBase
+ */
+class SumSummary extends SummaryBase {
+  constructor () {
+    super()
+    this.validCount = 0
+    this.sum = 0
+  }
+
+  static fromMoments (moments) {
+    let summary = new this()
+    summary.validCount = moments.validCount
+    summary.sum = moments.sum
+    return summary
+  }
+
+  /**
+   * The sum of values, `null` if there is no data.
+   *
+   * @type {number|null}
+   */
+  get value () {
+    return this.validCount > 0 ? this.sum : null
+  }
+
+  addSummary (node, summary) {
+    this.validCount += summary.validCount
+    this.sum += summary.sum
+  }
+
+  addValue (value, weight) {
+    this.validCount += weight
+    this.sum += value * weight
+  }
+}
+
+SumSummary._FIELDS = ['validCount', 'sum']
+
+module.exports = SumSummary
@@ -0,0 +1,251 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module SummaryBase
+ */
+
+/**
+ * Base class for data summaries used in pine trees (`PineTree._SummaryCtor`).
+ *
+ * `PineNode.prototype.updateSummary` relies on the following members of the
+ *    summary constructor:
+ * *  `static extract(chromEntry)`: get the summary object from a data entry
+ *    provided by the data source, or `null` if there is none;
+ * *  `addSummary(node, summary)`: merge the summary of a child node into
+ *    `this`;
+ * *  `addDataFromChromEntry(node, chromEntry)`: merge a raw data entry
+ *    under `node` into `this`;
+ * *  `attach(chrRegion)`: attach `this` to `chrRegion` and return the
+ *    region.
+ *
+ * `SummaryBase` implements all of them. The summary is attached to
+ *    `chrRegion.data`, raw values are read from `chromEntry.data.value` and
+ *    weighted by the number of bases the entry covers within the node.
+ *    Derived classes only need to list their numeric fields in `_FIELDS`,
+ *    initialize them in the constructor and implement `addValue` and
+ *    `addSummary`.
+ *
+ * @class
+ * @alias module:SummaryBase
+ */
+class SummaryBase {
+  /**
+   * Extract the summary from a data entry.
+   *
+   * @static
+   * @param  {ChromRegion} chromEntry - the data entry, the summary should be
+   *    in `chromEntry.data`, either as a summary object or as a plain object
+   *    with all the fields in `this._FIELDS` (for example, from JSON
+   *    responses).
+   * @returns {SummaryBase|null} the summary object, or `null` if no summary
+   *    can be extracted.
+   */
+  static extract (chromEntry) {
+    let data = chromEntry && chromEntry.data
+    if (data instanceof this) {
+      return data
+    }
+    if (data && typeof data === 'object') {
+      return this._fromData(data)
+    }
+    return null
+  }
+
+  /**
+   * Create a summary object from a plain object carrying its fields.
+   *
+   * @static
+   * @param  {Object} data - the plain object
+   * @returns {SummaryBase|null} the summary object, or `null` if any field in
+   *    `this._FIELDS` is missing from `data`.
+   */
+  static _fromData (data) {
+    if (this._FIELDS.every(key => typeof data[key] === 'number')) {
+      let summary = new this()
+      this._FIELDS.forEach(key => { summary[key] = data[key] })
+      return summary
+    }
+    return null
+  }
+
+  /**
+   * Create a summary object from its JSON representation (see
+   *    `this.prototype.toJSON`). Used when restoring tree snapshots.
+   *
+   * @static
+   * @param  {Object} json - the JSON representation
+   * @returns {SummaryBase} the summary object
+   */
+  static fromJSON (json) {
+    let summary = new this()
+    // fields that are not finite numbers (`Infinity`, for example) will
+    //    become `null` in JSON, keep their initial values instead.
+    this._FIELDS.forEach(key => {
+      if (typeof json[key] === 'number') {
+        summary[key] = json[key]
+      }
+    })
+    return summary
+  }
+
+  /**
+   * Create a summary object from its binary representation (see
+   *    `this.prototype.toBinary`). Used when restoring binary tree snapshots.
+   *
+   * @static
+   * @param  {Array<number>|Float64Array} values - the binary representation
+   * @returns {SummaryBase} the summary object
+   */
+  static fromBinary (values) {
+    let summary = new this()
+    this._FIELDS.forEach((key, index) => { summary[key] = values[index] })
+    return summary
+  }
+
+  /**
+   * Create a summary object from the moments of the values within a range,
+   *    for example, from zoom level records of bigWig files.
+   *
+   * @static
+   * @param  {Object} moments - the moments, all weighted by bases
+   * @param  {number} moments.validCount - number of bases with data
+   * @param  {number} moments.sum - sum of values over all bases with data
+   * @param  {number} moments.sumSquares - sum of squared values over all
+   *    bases with data
+   * @param  {number} moments.min - minimum value
+   * @param  {number} moments.max - maximum value
+   * @returns {SummaryBase|null} the summary object, or `null` if the summary
+   *    cannot be built from the moments (the default).
+   */
+  static fromMoments (moments) {
+    return null
+  }
+
+  /**
+   * Get the value of a raw data entry.
+   *
+   * @static
+   * @param  {ChromRegion} chromEntry - the raw data entry
+   * @returns {number} the value of the entry.
+   */
+  static getValue (chromEntry) {
+    return (chromEntry.data && typeof chromEntry.data === 'object')
+      ? chromEntry.data.value : chromEntry.value
+  }
+
+  /**
+   * Get the weight of a raw data entry within a node, *i.e.* the number of
+   *    bases covered by the entry within the node.
+   *
+   * @static
+   * @param  {PineNode|ChromRegion} node - the node (or any object with
+   *    `.start` and `.end`) the entry belongs to.
+   * @param  {ChromRegion} chromEntry - the raw data entry
+   * @returns {number} the weight of the entry.
+   */
+  static getWeight (node, chromEntry) {
+    return Math.max(0, Math.min(node.end, chromEntry.end) -
+      Math.max(node.start, chromEntry.start))
+  }
+
+  /**
+   * A single value representing the summary, used when exporting summaries
+   *    as signal files (see `SignalFormat`).
+   *
+   * @type {number|null}
+   */
+  get value () {
+    return null
+  }
+
+  /**
+   * Get the JSON representation of `this`, used when taking tree snapshots.
+   *
+   * @returns {Object} the JSON representation
+   */
+  toJSON () {
+    let json = {}
+    this.constructor._FIELDS.forEach(key => { json[key] = this[key] })
+    return json
+  }
+
+  /**
+   * Get the binary representation of `this` as an array of numbers (to be
+   *    stored as `float64`), used when taking binary tree snapshots.
+   *
+   * @returns {Array<number>} the binary representation, values of all fields
+   *    in `this.constructor._FIELDS` by default.
+   */
+  toBinary () {
+    return this.constructor._FIELDS.map(key => this[key])
+  }
+
+  /**
+   * Attach `this` to a `ChromRegion` object as its `.data` property.
+   *
+   * @param  {ChromRegion} chrRegion - the region to attach to
+   * @returns {ChromRegion} `chrRegion`
+   */
+  attach (chrRegion) {
+    chrRegion.data = this
+    return chrRegion
+  }
+
+  /**
+   * Merge the summary of a child node into `this`.
+   *
+   * @param  {PineNode} node - the node `this` belongs to.
+   * @param  {SummaryBase} summary - the summary of the child node.
+   */
+  addSummary (node, summary) {
+    throw new Error(this.constructor.name +
+      '.prototype.addSummary() is not implemented!')
+  }
+
+  /**
+   * Merge a raw data entry into `this`.
+   *
+   * @param  {PineNode} node - the node `this` belongs to.
+   * @param  {ChromRegion} chromEntry - the raw data entry
+   */
+  addDataFromChromEntry (node, chromEntry) {
+    let value = this.constructor.getValue(chromEntry)
+    let weight = this.constructor.getWeight(node, chromEntry)
+    if (typeof value === 'number' && !isNaN(value) && weight > 0) {
+      this.addValue(value, weight)
+    }
+  }
+
+  /**
+   * Merge a single value into `this`.
+   *
+   * @param  {number} value - the value
+   * @param  {number} weight - the weight of the value (number of bases).
+   */
+  addValue (value, weight) {
+    throw new Error(this.constructor.name +
+      '.prototype.addValue() is not implemented!')
+  }
+}
+
+/**
+ * Numeric fields of the summary
+ * @static
+ * @type {Array<string>}
+ */
+SummaryBase._FIELDS = []
+
+module.exports = SummaryBase
@@ -0,0 +1,108 @@
+/**
+ * @license
+ * Copyright 2017-2018 Xiaoyi Cao
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @module VarianceSummary
+ */
+
+const SummaryBase = require('./summaryBase')
+
+/**
+ * Summary of the mean and variance of values, weighted by bases.
+ *
+ * Values are accumulated with (weighted) Welford's algorithm and summaries
+ *    are merged with Chan et al.'s parallel algorithm, so no sum of squares
+ *    is kept and merging is numerically stable.
+ *
+ * @property {number} validCount - number of bases with data
+ * @property {number} mean - mean value over all bases with data
+ * @property {number} m2 - sum of squared differences from `mean` over all
+ *    bases with data
+ *
+ * @class
+ * @alias module:VarianceSummary
+ * @extends SummaryBase
+ */
+class VarianceSummary extends SummaryBase {
+  constructor () {
+    super()
+    this.validCount = 0
+    this.mean = 0
+    this.m2 = 0
+  }
+
+  static fromMoments (moments) {
+    let summary = new this()
+    if (moments.validCount > 0) {
+      summary.validCount = moments.validCount
+      summary.mean = moments.sum / moments.validCount
+      // rounding errors may lead to slightly negative values
+      summary.m2 = Math.max(0,
+        moments.sumSquares - moments.sum * summary.mean)
+    }
+    return summary
+  }
+
+  addSummary (node, summary) {
+    if (summary.validCount > 0) {
+      let total = this.validCount + summary.validCount
+      let delta = summary.mean - this.mean
+      this.mean += delta * summary.validCount / total
+      this.m2 += summary.m2 +
+        delta * delta * this.validCount * summary.validCount / total
+      this.validCount = total
+    }
+  }
+
+  addValue (value, weight) {
+    let total = this.validCount + weight
+    let delta = value - this.mean
+    this.mean += delta * weight / total
+    this.m2 += delta * (value - this.mean) * weight
+    this.validCount = total
+  }
+
+  /**
+   * The mean value, `null` if there is no data.
+   *
+   * @type {number|null}
+   */
+  get value () {
+    return this.validCount > 0 ? this.mean : null
+  }
+
+  /**
+   * The (population) variance over all bases with data, `0` if there is no
+   *    data.
+   *
+   * @type {number}
+   */
+  get variance () {
+    return this.validCount > 0 ? this.m2 / this.validCount : 0
+  }
+
+  /**
+   * The (population) standard deviation over all bases with data.
+   *
+   * @type {number}
+   */
+  get stdDev () {
+    return Math.sqrt(this.variance)
+  }
+}
+
+VarianceSummary._FIELDS = ['validCount', 'mean', 'm2']
+
+module.exports = VarianceSummary
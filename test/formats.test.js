@@ -0,0 +1,224 @@
+const expect = require('chai').expect
+const path = require('path')
+const ChromRegion = require('@givengine/chrom-region')
+const PineTreeNS = require('..')
+
+function createRange (chr, start, end) {
+  return new ChromRegion({ chr: chr, start: start, end: end })
+}
+
+function createTree () {
+  return new PineTreeNS.PineTree(createRange('chr1', 0, 10000), {
+    _SummaryCtor: PineTreeNS.MeanSummary,
+    scalingFactor: 10,
+    leafScalingFactor: 100
+  })
+}
+
+function createExportTree () {
+  let tree = createTree()
+  let entries = [[100, 150, 1.5], [150, 200, -2], [500, 600, 4]]
+    .map(([start, end, value]) => {
+      let entry = createRange('chr1', start, end)
+      entry.data = { value: value }
+      return entry
+    })
+  tree.insert(entries, createRange('chr1', 0, 1000))
+  return tree
+}
+
+async function parse (Format, source) {
+  let entries = []
+  for await (let entry of Format.parse(source)) {
+    entries.push([entry.chr, entry.start, entry.end, entry.data.value])
+  }
+  return entries
+}
+
+function collect (tree, resolution) {
+  let result = []
+  tree.traverse(createRange('chr1', 0, 10000), entry => {
+    result.push([entry.start, entry.end,
+      resolution > 1 ? entry.data.mean : entry.data.value])
+  }, null, false, { resolution: resolution })
+  return result
+}
+
+const BED_GRAPH = 'track type=bedGraph name=test\n' +
+  '# comment\n' +
+  'chr1\t100\t150\t1.5\n' +
+  'chr1\t150\t200\t-2\n' +
+  'chr1\t1000\t1100\t4\n' +
+  'chr2\t0\t100\t3\n'
+
+const WIG = 'track type=wiggle_0\n' +
+  'variableStep chrom=chr1 span=10\n' +
+  '101 1.5\n' +
+  '201 2\n' +
+  'fixedStep chrom=chr1 start=1001 step=100 span=50\n' +
+  '1\n' +
+  '2\n' +
+  'fixedStep chrom=chr2 start=1 step=1\n' +
+  '9\n'
+
+describe('BedGraph', function () {
+  describe('.parse()', function () {
+    it('should parse data lines and skip other lines', async function () {
+      expect(await parse(PineTreeNS.BedGraph, BED_GRAPH)).to.deep.equal([
+        ['chr1', 100, 150, 1.5],
+        ['chr1', 150, 200, -2],
+        ['chr1', 1000, 1100, 4],
+        ['chr2', 0, 100, 3]
+      ])
+    })
+
+    it('should parse text split into chunks anywhere', async function () {
+      let chunks = []
+      for (let index = 0; index < BED_GRAPH.length; index += 7) {
+        chunks.push(Buffer.from(BED_GRAPH.slice(index, index + 7)))
+      }
+      expect(await parse(PineTreeNS.BedGraph, chunks))
+        .to.deep.equal(await parse(PineTreeNS.BedGraph, BED_GRAPH))
+    })
+
+    it('should reject invalid lines', async function () {
+      let error = await parse(PineTreeNS.BedGraph, 'chr1\t0\tx\t1\n')
+        .catch(err => err)
+      expect(error).to.be.an('error')
+    })
+  })
+
+  describe('.importInto()', function () {
+    it('should import entries on the chromosome of the tree',
+      async function () {
+        let tree = createTree()
+        expect(await PineTreeNS.BedGraph.importInto(tree, BED_GRAPH))
+          .to.equal(3)
+        expect(collect(tree, 1)).to.deep.equal(
+          [[100, 150, 1.5], [150, 200, -2], [1000, 1100, 4]])
+        expect(tree.getUncachedRange(createRange('chr1', 0, 10000),
+          { resolution: 1 })).to.have.lengthOf(0)
+        let summaries = collect(tree, 1000)
+        expect(summaries[0]).to.deep.equal(
+          [0, 1000, (1.5 * 50 - 2 * 50) / 100])
+        expect(summaries[1]).to.deep.equal([1000, 2000, 4])
+      })
+  })
+
+  describe('.exportRange()', function () {
+    it('should export raw data and flag uncached gaps', async function () {
+      let tree = createExportTree()
+      let text = PineTreeNS.BedGraph.exportRange(tree,
+        createRange('chr1', 0, 2000), { flagGaps: true })
+      expect(text).to.equal('chr1\t100\t150\t1.5\n' +
+        'chr1\t150\t200\t-2\n' +
+        'chr1\t500\t600\t4\n' +
+        '# uncached chr1 1000 2000\n')
+      expect(await parse(PineTreeNS.BedGraph, text)).to.deep.equal([
+        ['chr1', 100, 150, 1.5],
+        ['chr1', 150, 200, -2],
+        ['chr1', 500, 600, 4]
+      ])
+    })
+
+    it('should export summaries in bins of the resolution', function () {
+      let tree = createExportTree()
+      expect(PineTreeNS.BedGraph.exportRange(tree,
+        createRange('chr1', 0, 2000), { resolution: 1000 }))
+        .to.equal('chr1\t0\t1000\t' + (1.5 * 50 - 2 * 50 + 4 * 100) / 200 +
+          '\n')
+    })
+  })
+})
+
+describe('Wiggle', function () {
+  describe('.parse()', function () {
+    it('should parse variableStep and fixedStep sections',
+      async function () {
+        expect(await parse(PineTreeNS.Wiggle, WIG)).to.deep.equal([
+          ['chr1', 100, 110, 1.5],
+          ['chr1', 200, 210, 2],
+          ['chr1', 1000, 1050, 1],
+          ['chr1', 1100, 1150, 2],
+          ['chr2', 0, 1, 9]
+        ])
+      })
+
+    it('should reject data lines before any declaration',
+      async function () {
+        let error = await parse(PineTreeNS.Wiggle, '1 2\n').catch(err => err)
+        expect(error).to.be.an('error')
+        expect(error.message).to.match(/before any declaration/)
+      })
+  })
+
+  describe('.exportRange()', function () {
+    it('should export fixedStep sections', function () {
+      let tree = createExportTree()
+      expect(PineTreeNS.Wiggle.exportRange(tree,
+        createRange('chr1', 0, 2000), { flagGaps: true })).to.equal(
+        'fixedStep chrom=chr1 start=101 step=50 span=50\n1.5\n-2\n' +
+        'fixedStep chrom=chr1 start=501 step=100 span=100\n4\n' +
+        '# uncached chr1 1000 2000\n')
+      expect(PineTreeNS.Wiggle.exportRange(tree,
+        createRange('chr1', 0, 1000), { resolution: 100 })).to.equal(
+        'fixedStep chrom=chr1 start=101 step=100 span=100\n-0.25\n' +
+        'fixedStep chrom=chr1 start=501 step=100 span=100\n4\n')
+    })
+  })
+})
+
+describe('BigWig', function () {
+  // chr1 (2000 bp): 100-150: 1, 200-260: 2.5, 300-310: -1, 500-600: 4,
+  //    1000-1100: 2; chr2 (500 bp): 0-10: 3. One zoom level of 100 bp.
+  const FIXTURE = path.join(__dirname, 'fixtures', 'signal.bw')
+
+  it('should read the header', async function () {
+    let bigWig = new PineTreeNS.BigWig(FIXTURE)
+    let header = await bigWig.readHeader()
+    expect(header.zoomLevels.map(level => level.reductionLevel))
+      .to.deep.equal([100])
+    expect(header.chroms.chr1.size).to.equal(2000)
+    expect(header.chroms.chr2.size).to.equal(500)
+    await bigWig.close()
+  })
+
+  it('should fetch raw data entries', async function () {
+    let bigWig = new PineTreeNS.BigWig(FIXTURE)
+    let entries = await bigWig.fetch(createRange('chr1', 120, 550))
+    expect(entries.map(entry => [entry.start, entry.end, entry.data.value]))
+      .to.deep.equal([[100, 150, 1], [200, 260, 2.5], [300, 310, -1],
+        [500, 600, 4]])
+    expect(await bigWig.fetch(createRange('chrX', 0, 100)))
+      .to.have.lengthOf(0)
+    await bigWig.close()
+  })
+
+  it('should fetch summaries from the zoom level', async function () {
+    let bigWig = new PineTreeNS.BigWig(FIXTURE)
+    let range = createRange('chr1', 0, 600)
+    range.resolution = 100
+    let summaries = await bigWig.fetch(range,
+      { _SummaryCtor: PineTreeNS.MeanSummary })
+    expect(summaries.map(summary => [summary.start, summary.end,
+      summary.data.validCount, summary.data.sum])).to.deep.equal([
+      [0, 100, 0, 0],
+      [100, 200, 50, 50],
+      [200, 300, 60, 150],
+      [300, 400, 10, -10],
+      [400, 500, 0, 0],
+      [500, 600, 100, 400]
+    ])
+    await bigWig.close()
+  })
+
+  it('should serve as the fetcher of queries', async function () {
+    let bigWig = new PineTreeNS.BigWig(FIXTURE)
+    let tree = createTree()
+    let entries = await tree.query(createRange('chr1', 0, 2000),
+      { fetcher: bigWig.getFetcher(tree) })
+    expect(entries.map(entry => entry.start))
+      .to.deep.equal([100, 200, 300, 500, 1000])
+    await bigWig.close()
+  })
+})
@@ -0,0 +1,681 @@
+/* global AbortController */
+const expect = require('chai').expect
+const ChromRegion = require('@givengine/chrom-region')
+const PineTreeNS = require('..')
+
+function createRange (start, end) {
+  return new ChromRegion({ chr: 'chr1', start: start, end: end })
+}
+
+function createEntry (start, end, value) {
+  let entry = createRange(start, end)
+  entry.data = { value: value }
+  return entry
+}
+
+function createTree (props) {
+  return new PineTreeNS.PineTree(createRange(0, 10000), Object.assign({
+    _SummaryCtor: PineTreeNS.SumSummary,
+    scalingFactor: 10,
+    leafScalingFactor: 100
+  }, props))
+}
+
+function createEntries (count) {
+  let entries = []
+  for (let i = 0; i < count; i++) {
+    // every 10th entry spans several leaf nodes
+    entries.push(createEntry(i * 4, i * 4 + (i % 10 ? 3 : 250), i % 7))
+  }
+  return entries
+}
+
+function collect (tree, chrRange, resolution) {
+  let result = []
+  tree.traverse(chrRange, entry => {
+    result.push([entry.start, entry.end,
+      resolution > 1 ? entry.data.sum : entry.data.value])
+  }, null, false, { resolution: resolution })
+  return result
+}
+
+describe('PineTree', function () {
+  describe('constructor', function () {
+    it('should reject incomplete summary constructors', function () {
+      class IncompleteSummary {
+        static extract () {
+          return null
+        }
+
+        addSummary () {}
+      }
+      expect(() => createTree({ _SummaryCtor: IncompleteSummary }))
+        .to.throw('`_SummaryCtor` (IncompleteSummary) does not implement ' +
+          '`prototype.addDataFromChromEntry()`, `prototype.attach()`.')
+      expect(() => createTree({ _SummaryCtor: 'SumSummary' }))
+        .to.throw(/is not a constructor/)
+    })
+
+    it('should reject summaries for trees without summary constructors',
+      function () {
+        let tree = createTree({ _SummaryCtor: null })
+        let summary = createRange(1000, 2000)
+        summary.data = { validCount: 100, sum: 50 }
+        // 500-1000 has no summary and needs an empty one
+        let summaryRange = createRange(500, 2000)
+        summaryRange.resolution = 1000
+        expect(() => tree.insert([summary], summaryRange))
+          .to.throw(/`_SummaryCtor` is not a constructor/)
+      })
+  })
+
+  describe('custom resolutions', function () {
+    function createLadderTree () {
+      return new PineTreeNS.PineTree(createRange(0, 1000000), {
+        _SummaryCtor: PineTreeNS.SumSummary,
+        resolutions: [25, 200, 1000, 5000, 50000]
+      })
+    }
+
+    it('should build nodes following the ladder', function () {
+      let tree = createLadderTree()
+      expect(tree.resolutions).to.deep.equal([1, 25, 200, 1000, 5000, 50000])
+      let ranges = tree.getUncachedRange(createRange(1234, 7777),
+        { resolution: 1100 })
+      expect(ranges.map(range => [range.start, range.end, range.resolution]))
+        .to.deep.equal([[1000, 8000, 1000]])
+      let entries = []
+      for (let start = 0; start < 20000; start += 100) {
+        entries.push(createEntry(start, start + 100, 1))
+      }
+      tree.insert(entries, createRange(0, 20000))
+      expect(collect(tree, createRange(0, 20000), 5000)).to.deep.equal([
+        [0, 5000, 5000], [5000, 10000, 5000],
+        [10000, 15000, 5000], [15000, 20000, 5000]
+      ])
+      expect(collect(tree, createRange(0, 400), 200))
+        .to.deep.equal([[0, 200, 200], [200, 400, 200]])
+    })
+
+    it('should reject resolutions not multiples of finer ones', function () {
+      expect(() => new PineTreeNS.PineTree(createRange(0, 1000),
+        { resolutions: [25, 60] })).to.throw(/60 is not a multiple/)
+    })
+  })
+
+  describe('#insert()', function () {
+    it('should keep entries spanning multiple leaf nodes only once',
+      function () {
+        let tree = createTree()
+        let entries = [
+          createEntry(20, 70, 1), createEntry(50, 90, 2),
+          createEntry(60, 350, 3), createEntry(120, 180, 4)
+        ]
+        tree.insert(entries.slice(), createRange(0, 1000))
+        expect(collect(tree, createRange(0, 1000), 1)).to.deep.equal(
+          entries.map(entry => [entry.start, entry.end, entry.data.value]))
+        expect(collect(tree, createRange(150, 200), 1)).to.deep.equal(
+          [[60, 350, 3], [120, 180, 4]])
+        expect(tree.getStats().entryCount).to.equal(4)
+      })
+
+    it('should summarize entries across leaf boundaries', function () {
+      let tree = createTree()
+      tree.insert([
+        createEntry(20, 70, 1), createEntry(50, 90, 2),
+        createEntry(60, 100, 3), createEntry(120, 180, 4)
+      ], createRange(0, 1000))
+      let summaries = []
+      tree.traverse(createRange(0, 200), entry => {
+        summaries.push([entry.start, entry.end,
+          entry.data.validCount, entry.data.sum])
+      }, null, false, { resolution: 100 })
+      // 20-70 is continued in the leaf nodes starting at 50 and 60, but
+      //    counted only once
+      expect(summaries).to.deep.equal([
+        [0, 100, 130, 1 * 50 + 2 * 40 + 3 * 40],
+        [100, 200, 60, 4 * 60]
+      ])
+    })
+
+    it('should summarize entries spanning several leaf nodes', function () {
+      let entries = [
+        createEntry(20, 70, 1), createEntry(60, 350, 3),
+        createEntry(120, 180, 4)
+      ]
+      let tree = createTree()
+      tree.insert(entries.slice(), createRange(0, 1000))
+      let summaries = []
+      tree.traverse(createRange(0, 1000), entry => {
+        summaries.push([entry.start, entry.end,
+          entry.data.validCount, entry.data.sum])
+      }, null, false, { resolution: 100 })
+      expect(summaries).to.deep.equal([
+        [0, 100, 90, 1 * 50 + 3 * 40],
+        [100, 200, 160, 3 * 100 + 4 * 60],
+        [200, 300, 100, 3 * 100],
+        [300, 400, 50, 3 * 50]
+      ])
+
+      let countTree = createTree({ _SummaryCtor: PineTreeNS.CountSummary })
+      countTree.insert(entries.slice(), createRange(0, 1000))
+      let counts = []
+      countTree.traverse(createRange(0, 1000),
+        entry => counts.push(entry.data.count),
+        null, false, { resolution: 100 })
+      expect(counts).to.deep.equal([2, 1, 0, 0])
+    })
+  })
+
+  describe('#remove()', function () {
+    it('should update or drop the summaries of ancestors', function () {
+      let tree = createTree()
+      let entries = [
+        createEntry(20, 70, 1), createEntry(100, 150, 1),
+        createEntry(100, 120, 2), createEntry(500, 600, 3)
+      ]
+      tree.insert(entries.slice(), createRange(0, 1000))
+      expect(collect(tree, createRange(0, 1000), 1000))
+        .to.deep.equal([[0, 1000, 50 + 50 + 40 + 300]])
+
+      // the leaf node still has data, summaries are rebuilt
+      tree.remove(entries[2])
+      expect(collect(tree, createRange(0, 1000), 1000))
+        .to.deep.equal([[0, 1000, 50 + 50 + 300]])
+      expect(tree.getStats().entryCount).to.equal(3)
+
+      // the leaf node is dropped, summaries cannot be rebuilt
+      tree.remove(entries[3])
+      expect(tree.getUncachedRange(createRange(0, 1000),
+        { resolution: 1000 }).map(range => [range.start, range.end]))
+        .to.deep.equal([[0, 1000]])
+      // only summaries of finer nodes still cached are left
+      expect(collect(tree, createRange(0, 1000), 1000))
+        .to.deep.equal([[0, 100, 50], [100, 200, 50]])
+    })
+  })
+
+  describe('#insertStream()', function () {
+    it('should build the same tree as #insert()', async function () {
+      let tree = createTree()
+      tree.insert(createEntries(2000), createRange(0, 10000))
+      let streamedTree = createTree()
+      let entryCount = await streamedTree.insertStream(createEntries(2000),
+        createRange(0, 10000), { chunkSize: 64 })
+      expect(entryCount).to.equal(2000)
+      expect(streamedTree.getStats()).to.deep.equal(tree.getStats())
+      for (let resolution of [1, 100, 1000]) {
+        expect(collect(streamedTree, createRange(0, 10000), resolution))
+          .to.deep.equal(collect(tree, createRange(0, 10000), resolution))
+      }
+    })
+
+    it('should reject unsorted entries', async function () {
+      let tree = createTree()
+      let error = await tree.insertStream(
+        [createEntry(100, 200, 1), createEntry(50, 60, 1)],
+        createRange(0, 10000)).catch(err => err)
+      expect(error).to.be.an('error')
+      expect(error.message).to.match(/not sorted/)
+    })
+  })
+
+  describe('#getUncachedRange()', function () {
+    it('should not report coarse ranges cached at finer resolutions',
+      function () {
+        let tree = createTree()
+        let summaries = []
+        for (let start = 0; start < 1000; start += 100) {
+          let summary = createRange(start, start + 100)
+          summary.data = { validCount: 100, sum: start / 100 }
+          summaries.push(summary)
+        }
+        let summaryRange = createRange(0, 1000)
+        summaryRange.resolution = 100
+        tree.insert(summaries, summaryRange)
+        tree.insert([createEntry(1000, 1500, 2)], createRange(1000, 1500))
+        tree.insert([createEntry(1500, 2000, 4)], createRange(1500, 2000))
+
+        expect(tree.getUncachedRange(createRange(0, 2000),
+          { resolution: 1000 })).to.have.lengthOf(0)
+        expect(collect(tree, createRange(0, 2000), 1000)).to.deep.equal([
+          [0, 1000, 45], [1000, 2000, 2 * 500 + 4 * 500]
+        ])
+      })
+
+    it('should not report ranges cached as raw data without summaries',
+      function () {
+        let tree = createTree({ _SummaryCtor: null })
+        tree.insert([createEntry(1000, 1500, 2)], createRange(1000, 1500))
+        tree.insert([createEntry(1500, 2000, 4)], createRange(1500, 2000))
+        expect(tree.getUncachedRange(createRange(1000, 2000),
+          { resolution: 1000 })).to.have.lengthOf(0)
+        expect(collect(tree, createRange(1000, 2000), 1))
+          .to.deep.equal([[1000, 1500, 2], [1500, 2000, 4]])
+      })
+  })
+
+  describe('#traverse()', function () {
+    it('should fall back to the closest cached resolution', function () {
+      let tree = createTree()
+      let summaries = []
+      for (let start = 0; start < 3000; start += 1000) {
+        let summary = createRange(start, start + 1000)
+        summary.data = { validCount: 1000, sum: start }
+        summaries.push(summary)
+      }
+      let summaryRange = createRange(0, 3000)
+      summaryRange.resolution = 1000
+      tree.insert(summaries, summaryRange)
+      tree.insert([createEntry(100, 200, 7), createEntry(300, 400, 7)],
+        createRange(0, 500))
+
+      let result = []
+      tree.traverse(createRange(0, 4000), entry => {
+        result.push([entry.start, entry.end, entry.resolution,
+          entry.resolution > 1 ? entry.data.sum : entry.data.value])
+      }, null, false, { resolution: 1, bestAvailable: true })
+      // raw data where cached, clipped summaries of the closest resolution
+      //    elsewhere, nothing where neither is cached
+      expect(result).to.deep.equal([
+        [100, 200, 1, 7],
+        [300, 400, 1, 7],
+        [500, 1000, 1000, 0],
+        [1000, 2000, 1000, 1000],
+        [2000, 3000, 1000, 2000]
+      ])
+      expect(collect(tree, createRange(0, 4000), 1))
+        .to.deep.equal([[100, 200, 7], [300, 400, 7]])
+    })
+
+    it('should tag copies of entries with the best available resolution',
+      function () {
+        let tree = createTree()
+        let entries = [createEntry(20, 70, 1), createEntry(120, 180, 4)]
+        tree.insert(entries.slice(), createRange(0, 1000))
+        let summaries = [createRange(1000, 2000), createRange(2000, 3000)]
+        summaries.forEach(summary => {
+          summary.data = { validCount: 100, sum: 50 }
+        })
+        let summaryRange = createRange(1000, 3000)
+        summaryRange.resolution = 1000
+        tree.insert(summaries.slice(), summaryRange)
+
+        let result = []
+        tree.traverse(createRange(0, 3000), entry => {
+          result.push([entry.start, entry.end, entry.resolution])
+        }, null, false, { resolution: 1, bestAvailable: true })
+        expect(result).to.deep.equal([
+          [20, 70, 1], [120, 180, 1], [1000, 2000, 1000], [2000, 3000, 1000]
+        ])
+        entries.concat(summaries).forEach(entry => {
+          expect(entry).to.not.have.property('resolution')
+        })
+        expect(summaries[0].data).to.deep.equal({ validCount: 100, sum: 50 })
+        expect(JSON.stringify(tree)).to.not.match(/"resolution"/)
+      })
+  })
+
+  describe('#entries()', function () {
+    it('should yield the same entries as traverse', function () {
+      let tree = createTree()
+      tree.insert(createEntries(100), createRange(0, 1000))
+      let traversed = []
+      tree.traverse(createRange(0, 1000), entry => traversed.push(entry))
+      let entries = Array.from(tree.entries(createRange(0, 1000)))
+      expect(entries).to.have.lengthOf(100)
+      entries.forEach((entry, index) =>
+        expect(entry).to.equal(traversed[index]))
+      let summaries = []
+      for (let summary of tree.entries(createRange(0, 1000),
+        { resolution: 100 })
+      ) {
+        summaries.push([summary.start, summary.end, summary.data.sum])
+      }
+      expect(summaries)
+        .to.deep.equal(collect(tree, createRange(0, 1000), 100))
+    })
+
+    it('should stop walking when the iteration is stopped', function () {
+      let tree = createTree()
+      tree.insert(createEntries(100), createRange(0, 1000))
+      let filterCalls = 0
+      let starts = []
+      for (let entry of tree.entries(createRange(0, 1000), {
+        filter: entry => {
+          filterCalls++
+          return entry.data.value > 0
+        }
+      })) {
+        starts.push(entry.start)
+        if (starts.length >= 3) {
+          break
+        }
+      }
+      expect(starts).to.deep.equal([4, 8, 12])
+      expect(filterCalls).to.equal(4)
+    })
+  })
+
+  describe('#collapse()', function () {
+    it('should drop data finer than the resolution within the range',
+      function () {
+        let tree = createTree()
+        let entries = []
+        for (let start = 0; start < 3000; start += 250) {
+          entries.push(createEntry(start, start + 50, 2))
+        }
+        tree.insert(entries, createRange(0, 3000))
+        tree.collapse(createRange(0, 2000), 1000)
+        expect(tree.getStats().entryCount).to.equal(4)
+        let uncachedRanges = tree.getUncachedRange(createRange(0, 3000),
+          { resolution: 100 })
+        expect(uncachedRanges).to.have.lengthOf(8)
+        uncachedRanges.forEach(range => expect(range.end).to.be.at.most(2000))
+        expect(collect(tree, createRange(0, 3000), 100)).to.deep.equal([
+          [2000, 2100, 100], [2200, 2300, 100],
+          [2500, 2600, 100], [2700, 2800, 100]
+        ])
+        // summaries at or above the resolution are kept
+        expect(tree.getUncachedRange(createRange(0, 3000),
+          { resolution: 1000 })).to.have.lengthOf(0)
+        expect(collect(tree, createRange(0, 3000), 1000)).to.deep.equal(
+          [[0, 1000, 400], [1000, 2000, 400], [2000, 3000, 400]])
+      })
+
+    it('should keep ranges cached as empty', function () {
+      let tree = createTree()
+      tree.insert([createEntry(20, 70, 1)], createRange(0, 1000))
+      tree.collapse(createRange(0, 1000), 1000)
+      expect(tree.getUncachedRange(createRange(0, 1000), { resolution: 1 })
+        .map(range => [range.start, range.end])).to.deep.equal([[0, 100]])
+      expect(collect(tree, createRange(0, 1000), 1000))
+        .to.deep.equal([[0, 1000, 50]])
+    })
+  })
+
+  describe('#wither()', function () {
+    function createBlock (start) {
+      let entries = []
+      for (let i = 0; i < 5; i++) {
+        entries.push(createEntry(start + i * 200, start + i * 200 + 50, 1))
+      }
+      return entries
+    }
+
+    it('should wither least recently used nodes beyond maxEntries',
+      function () {
+        let tree = createTree({ maxEntries: 12 })
+        tree.insert(createBlock(0), createRange(0, 1000))
+        tree.insert(createBlock(2000), createRange(2000, 3000))
+        // 0-1000 is now more recently used than 2000-3000
+        tree.traverse(createRange(0, 1000), () => {})
+        tree.insert(createBlock(4000), createRange(4000, 5000))
+        expect(tree.getStats().entryCount).to.equal(12)
+        expect(tree.getUncachedRange(createRange(0, 5000), { resolution: 1 })
+          .map(range => [range.start, range.end])).to.deep.equal([
+          [1000, 2100], [2200, 2300], [2400, 2500], [3000, 4000]
+        ])
+        // summaries of withered nodes are kept
+        expect(collect(tree, createRange(0, 5000), 1000)).to.deep.equal(
+          [[0, 1000, 250], [2000, 3000, 250], [4000, 5000, 250]])
+      })
+
+    it('should wither down to the given number of entries', function () {
+      let tree = createTree()
+      tree.insert(createBlock(0), createRange(0, 1000))
+      expect(tree.wither()).to.equal(0)
+      expect(tree.wither(2)).to.equal(3)
+      expect(tree.getStats().entryCount).to.equal(2)
+    })
+  })
+
+  describe('#getStats()', function () {
+    function createStatsTree () {
+      let tree = createTree()
+      tree.insert([createEntry(20, 70, 1), createEntry(120, 180, 4)],
+        createRange(0, 1000))
+      let summary = createRange(2000, 3000)
+      summary.data = { validCount: 100, sum: 50 }
+      let summaryRange = createRange(2000, 3000)
+      summaryRange.resolution = 1000
+      tree.insert([summary], summaryRange)
+      return tree
+    }
+
+    it('should report the cached data', function () {
+      let stats = createStatsTree().getStats()
+      expect(stats.nodeCounts).to.deep.equal({ 0: 2, 1: 2, 2: 1 })
+      expect(stats.leafNodeCount).to.equal(2)
+      expect(stats.entryCount).to.equal(2)
+      expect(stats.summaryNodeCount).to.equal(4)
+      expect(stats.cachedLength)
+        .to.deep.equal({ 1: 1000, 100: 200, 1000: 2000 })
+      expect(stats.estimatedMemory).to.be.above(0)
+    })
+
+    it('should count every node visited as a hit or a miss', function () {
+      let tree = createStatsTree()
+      // two leaf nodes
+      tree.traverse(createRange(0, 300), () => {}, null, false,
+        { resolution: 1 })
+      // the summaries of 0-1000 and 2000-3000
+      tree.traverse(createRange(0, 3000), () => {}, null, false,
+        { resolution: 1000 })
+      // uncached children 1000-2000, 2000-3000 (within the node with the
+      //    summary) and 3000-10000 are merged into one range
+      expect(tree.getUncachedRange(createRange(500, 5000),
+        { resolution: 1 }).map(range => [range.start, range.end]))
+        .to.deep.equal([[1000, 5000]])
+      let stats = tree.getStats()
+      expect([stats.cacheHits, stats.cacheMisses]).to.deep.equal([4, 3])
+      tree.resetStats()
+      stats = tree.getStats()
+      expect([stats.cacheHits, stats.cacheMisses]).to.deep.equal([0, 0])
+    })
+  })
+
+  describe('#getCoverageMap()', function () {
+    function createCoverageTree () {
+      let tree = createTree()
+      tree.insert([createEntry(100, 150, 1), createEntry(300, 450, 1)],
+        createRange(0, 1000))
+      let summaries = []
+      for (let start = 3000; start < 5000; start += 1000) {
+        let summary = createRange(start, start + 1000)
+        summary.data = { validCount: 10, sum: 1 }
+        summaries.push(summary)
+      }
+      let summaryRange = createRange(3000, 5000)
+      summaryRange.resolution = 1000
+      tree.insert(summaries, summaryRange)
+      let pendingRange = createRange(6000, 7000)
+      pendingRange.resolution = 1
+      tree.markPending([pendingRange], new Promise(() => {}))
+      return tree
+    }
+
+    function getSegments (tree, resolution) {
+      return tree.getCoverageMap(createRange(0, 8000),
+        { resolution: resolution }).map(segment =>
+        [segment.start, segment.end, segment.state, segment.resolution])
+    }
+
+    it('should label contiguous segments with their states', function () {
+      let tree = createCoverageTree()
+      expect(getSegments(tree, 1000)).to.deep.equal([
+        [0, 1000, 'summary', 1000],
+        [1000, 3000, 'uncached', 1000],
+        [3000, 5000, 'summary', 1000],
+        [5000, 6000, 'uncached', 1000],
+        [6000, 7000, 'pending', 1],
+        [7000, 8000, 'uncached', 1000]
+      ])
+    })
+
+    it('should walk into summaries coarser than the resolution', function () {
+      let tree = createCoverageTree()
+      expect(getSegments(tree, 1)).to.deep.equal([
+        [0, 100, 'empty', 1],
+        [100, 200, 'data', 1],
+        [200, 300, 'empty', 1],
+        [300, 500, 'data', 1],
+        [500, 1000, 'empty', 1],
+        [1000, 3000, 'uncached', 1000],
+        [3000, 5000, 'uncached', 100],
+        [5000, 6000, 'uncached', 1000],
+        [6000, 7000, 'pending', 1],
+        [7000, 8000, 'uncached', 1000]
+      ])
+      expect(tree.getCoverageMap(new ChromRegion(
+        { chr: 'chr2', start: 0, end: 100 }))).to.deep.equal([])
+    })
+  })
+
+  describe('#getBins()', function () {
+    it('should aggregate cached data into bins', function () {
+      let tree = createTree()
+      let entries = []
+      for (let start = 0; start < 2000; start += 10) {
+        entries.push(createEntry(start, start + 5, start % 7))
+      }
+      tree.insert(entries.slice(), createRange(0, 2000))
+      let bins = tree.getBins(createRange(0, 4000), 4)
+      expect(bins).to.have.lengthOf(4)
+      expect(bins.slice(2)).to.deep.equal([null, null])
+      let expected = [0, 0]
+      entries.forEach(entry => {
+        expected[Math.floor(entry.start / 1000)] += 5 * entry.data.value
+      })
+      expect(bins.slice(0, 2).map(bin => [bin.start, bin.end, bin.data.sum]))
+        .to.deep.equal([[0, 1000, expected[0]], [1000, 2000, expected[1]]])
+    })
+
+    it('should count entries spanning several bins only once', function () {
+      let tree = createTree({ _SummaryCtor: PineTreeNS.CountSummary })
+      tree.insert([
+        createEntry(50, 80, 1), createEntry(150, 420, 2),
+        createEntry(480, 520, 3)
+      ], createRange(0, 1000))
+      expect(tree.getBins(createRange(0, 600), 6)
+        .map(bin => bin.data.count)).to.deep.equal([1, 1, 0, 0, 1, 0])
+    })
+  })
+
+  describe('#getPrefetchRanges()', function () {
+    function getPrefetchRanges (tree, viewport, props) {
+      return tree.getPrefetchRanges(viewport, props).map(range =>
+        [range.prefetchType, range.start, range.end, range.resolution])
+    }
+
+    it('should return the ranges in priority order', function () {
+      let tree = createTree()
+      let viewport = createRange(4000, 5000)
+      viewport.resolution = 100
+      expect(getPrefetchRanges(tree, viewport)).to.deep.equal([
+        ['right', 5000, 6000, 100],
+        ['left', 3000, 4000, 100],
+        ['zoomOut', 0, 9500, 1000],
+        ['zoomIn', 4495, 4505, 1]
+      ])
+      expect(getPrefetchRanges(tree, viewport, { direction: 'left' })
+        .map(range => range[0]))
+        .to.deep.equal(['left', 'right', 'zoomOut', 'zoomIn'])
+    })
+
+    it('should skip ranges cached or being loaded', function () {
+      let tree = createTree()
+      tree.insert([createEntry(5200, 5300, 1)], createRange(5000, 6000))
+      tree.markPending(createRange(3000, 4000), new Promise(() => {}))
+      let viewport = createRange(4000, 5000)
+      viewport.resolution = 100
+      expect(getPrefetchRanges(tree, viewport).map(range => range[0]))
+        .to.deep.equal(['zoomOut', 'zoomIn'])
+    })
+
+    it('should zoom in from resolutions coarser than the root', function () {
+      let tree = createTree()
+      let viewport = createRange(0, 10000)
+      viewport.resolution = 200000
+      expect(getPrefetchRanges(tree, viewport)).to.deep.equal([
+        ['zoomIn', 4500, 5500, 20000]
+      ])
+    })
+  })
+
+  describe('#query()', function () {
+    function createFetcher (calls, fail) {
+      return range => {
+        calls.push([range.start, range.end, range.resolution])
+        return new Promise((resolve, reject) => setTimeout(() => {
+          if (fail) {
+            reject(new Error('Fetch failed.'))
+          } else {
+            resolve(createEntries(2500).filter(entry =>
+              entry.start < range.end && entry.end > range.start))
+          }
+        }, 5))
+      }
+    }
+
+    it('should fetch uncached ranges and resolve with the entries',
+      async function () {
+        let tree = createTree()
+        let calls = []
+        let entries = await tree.query(createRange(1000, 2000),
+          { fetcher: createFetcher(calls) })
+        expect(calls).to.deep.equal([[1000, 2000, 1]])
+        expect(entries.map(entry => [entry.start, entry.end]))
+          .to.deep.equal(createEntries(2500)
+            .filter(entry => entry.start < 2000 && entry.end > 1000)
+            .map(entry => [entry.start, entry.end]))
+        await tree.query(createRange(1200, 1800),
+          { fetcher: createFetcher(calls) })
+        expect(calls).to.have.lengthOf(1)
+      })
+
+    it('should fetch ranges being loaded only once', async function () {
+      let tree = createTree()
+      let calls = []
+      let results = await Promise.all([
+        tree.query(createRange(1000, 3000), { fetcher: createFetcher(calls) }),
+        tree.query(createRange(2000, 4000), { fetcher: createFetcher(calls) })
+      ])
+      expect(calls).to.deep.equal([[1000, 3000, 1], [3000, 4000, 1]])
+      expect(results[1].map(entry => entry.start)).to.deep.equal(
+        collect(tree, createRange(2000, 4000), 1).map(entry => entry[0]))
+    })
+
+    it('should insert nothing if the fetch fails', async function () {
+      let tree = createTree()
+      let error = await tree.query(createRange(1000, 2000),
+        { fetcher: createFetcher([], true) }).catch(err => err)
+      expect(error.message).to.equal('Fetch failed.')
+      expect(tree.getStats().entryCount).to.equal(0)
+      expect(tree.getUncachedRange(createRange(1000, 2000)))
+        .to.have.lengthOf(1)
+    })
+
+    it('should be rejected with an AbortError when aborted',
+      async function () {
+        if (typeof AbortController !== 'function') {
+          // Node.js 14 and earlier
+          this.skip()
+        }
+        let tree = createTree()
+        let controller = new AbortController()
+        let queryPromise = tree.query(createRange(1000, 2000), {
+          fetcher: createFetcher([]),
+          signal: controller.signal
+        })
+        controller.abort()
+        let error = await queryPromise.catch(err => err)
+        expect(error.name).to.equal('AbortError')
+        // Wait for the fetch to finish, its data should be discarded
+        await new Promise(resolve => setTimeout(resolve, 20))
+        expect(tree.getStats().entryCount).to.equal(0)
+        expect(tree.getUncachedRange(createRange(1000, 2000)))
+          .to.have.lengthOf(1)
+      })
+  })
+})
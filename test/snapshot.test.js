@@ -0,0 +1,129 @@
+const expect = require('chai').expect
+const ChromRegion = require('@givengine/chrom-region')
+const PineTreeNS = require('..')
+
+function createRange (start, end) {
+  return new ChromRegion({ chr: 'chr1', start: start, end: end })
+}
+
+function createTree () {
+  let tree = new PineTreeNS.PineTree(createRange(0, 100000), {
+    _SummaryCtor: PineTreeNS.MeanSummary,
+    scalingFactor: 10,
+    leafScalingFactor: 100
+  })
+  // raw data in 10000-20000, summaries at resolution 1000 in 50000-60000
+  let entries = []
+  for (let start = 10000; start < 20000; start += 30) {
+    let entry = createRange(start, start + (start % 900 ? 20 : 400))
+    entry.data = { value: start % 13 }
+    if (start % 300 === 0) {
+      // entries with more than a value
+      entry.data.name = 'entry' + start
+      entry.strand = '-'
+    }
+    entries.push(entry)
+  }
+  tree.insert(entries, createRange(10000, 20000))
+  let summaries = []
+  for (let start = 50000; start < 60000; start += 1000) {
+    let summary = createRange(start, start + 1000)
+    summary.data = { validCount: 500, sum: start / 1000 }
+    summaries.push(summary)
+  }
+  let summaryRange = createRange(50000, 60000)
+  summaryRange.resolution = 1000
+  tree.insert(summaries, summaryRange)
+  return tree
+}
+
+function collect (tree, resolution) {
+  let result = []
+  tree.traverse(createRange(0, 100000), entry => {
+    result.push(JSON.stringify([entry.start, entry.end, entry.strand,
+      entry.data]))
+  }, null, false, { resolution: resolution })
+  return result
+}
+
+function expectSameTree (restoredTree, tree) {
+  expect(restoredTree.chr).to.equal(tree.chr)
+  expect(restoredTree.coveringRange.start).to.equal(tree.coveringRange.start)
+  expect(restoredTree.coveringRange.end).to.equal(tree.coveringRange.end)
+  for (let resolution of [1, 100, 1000, 10000]) {
+    expect(collect(restoredTree, resolution))
+      .to.deep.equal(collect(tree, resolution))
+    expect(restoredTree.getUncachedRange(createRange(0, 100000),
+      { resolution: resolution }).map(String))
+      .to.deep.equal(tree.getUncachedRange(createRange(0, 100000),
+        { resolution: resolution }).map(String))
+  }
+}
+
+describe('Snapshots', function () {
+  describe('JSON', function () {
+    it('should restore the same tree', function () {
+      let tree = createTree()
+      let json = JSON.parse(JSON.stringify(tree))
+      let restoredTree = PineTreeNS.PineTree.fromJSON(json,
+        { _SummaryCtor: PineTreeNS.MeanSummary })
+      expectSameTree(restoredTree, tree)
+      expect(JSON.stringify(restoredTree)).to.equal(JSON.stringify(tree))
+    })
+  })
+
+  describe('Binary', function () {
+    it('should restore the same tree', function () {
+      let tree = createTree()
+      let restoredTree = PineTreeNS.PineTree.fromBinary(tree.toBinary(),
+        { _SummaryCtor: PineTreeNS.MeanSummary })
+      expectSameTree(restoredTree, tree)
+      expect(JSON.stringify(restoredTree)).to.equal(JSON.stringify(tree))
+    })
+
+    it('should be smaller than the JSON snapshot', function () {
+      let tree = createTree()
+      expect(tree.toBinary().byteLength)
+        .to.be.below(JSON.stringify(tree).length)
+    })
+
+    it('should restore children only when they are walked into', function () {
+      let tree = createTree()
+      let restoredTree = PineTreeNS.PineTree.fromBinary(tree.toBinary(),
+        { _SummaryCtor: PineTreeNS.MeanSummary })
+      expect(restoredTree.getStats().entryCount).to.equal(0)
+      restoredTree.traverse(createRange(10000, 11000), () => {})
+      let entryCount = restoredTree.getStats().entryCount
+      expect(entryCount).to.be.above(0)
+      expect(entryCount).to.be.below(tree.getStats().entryCount)
+    })
+
+    it('should not restore children when collapsing', function () {
+      let tree = createTree()
+      let restoredTree = PineTreeNS.PineTree.fromBinary(tree.toBinary(),
+        { _SummaryCtor: PineTreeNS.MeanSummary })
+      let fromBinary = PineTreeNS.PineNode._fromBinary
+      let restoredNodeCount = 0
+      PineTreeNS.PineNode._fromBinary = function () {
+        restoredNodeCount++
+        return fromBinary.apply(this, arguments)
+      }
+      try {
+        restoredTree.collapse(createRange(0, 100000), 10000)
+      } finally {
+        PineTreeNS.PineNode._fromBinary = fromBinary
+      }
+      // only the children of the root (10000-20000 and 50000-60000) are
+      //    restored to be collapsed
+      expect(restoredNodeCount).to.equal(2)
+      expect(restoredTree.getStats().entryCount).to.equal(0)
+      tree.collapse(createRange(0, 100000), 10000)
+      expectSameTree(restoredTree, tree)
+    })
+
+    it('should reject data that are not snapshots', function () {
+      expect(() => PineTreeNS.PineTree.fromBinary(new ArrayBuffer(64)))
+        .to.throw(/Not a binary snapshot/)
+    })
+  })
+})
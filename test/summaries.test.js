@@ -0,0 +1,170 @@
+const expect = require('chai').expect
+const ChromRegion = require('@givengine/chrom-region')
+const PineTreeNS = require('..')
+
+function createEntry (start, end, value) {
+  let entry = new ChromRegion({ chr: 'chr1', start: start, end: end })
+  entry.data = { value: value }
+  return entry
+}
+
+// summarize the entries within a node covering 0-100
+function summarize (SummaryCtor, entries) {
+  let node = { start: 0, end: 100 }
+  let summary = new SummaryCtor()
+  entries.forEach(entry => summary.addDataFromChromEntry(node, entry))
+  return summary
+}
+
+const ENTRIES = [
+  createEntry(-20, 20, 2), createEntry(40, 50, -1), createEntry(90, 150, 4)
+]
+
+describe('Summaries', function () {
+  it('should weigh raw entries by their lengths within the node',
+    function () {
+      let summary = summarize(PineTreeNS.MeanSummary, ENTRIES)
+      expect(summary.validCount).to.equal(40)
+      expect(summary.sum).to.equal(2 * 20 - 1 * 10 + 4 * 10)
+      expect(summary.mean).to.equal(70 / 40)
+      expect(summary.value).to.equal(70 / 40)
+    })
+
+  it('should merge child summaries', function () {
+    let summary = summarize(PineTreeNS.MinMaxSummary, ENTRIES.slice(0, 2))
+    summary.addSummary(null,
+      summarize(PineTreeNS.MinMaxSummary, ENTRIES.slice(2)))
+    expect([summary.validCount, summary.min, summary.max])
+      .to.deep.equal([40, -1, 4])
+  })
+
+  it('should keep the variance when merging', function () {
+    let summary = summarize(PineTreeNS.VarianceSummary, ENTRIES.slice(0, 1))
+    summary.addSummary(null,
+      summarize(PineTreeNS.VarianceSummary, ENTRIES.slice(1)))
+    let merged = summarize(PineTreeNS.VarianceSummary, ENTRIES)
+    expect(summary.validCount).to.equal(merged.validCount)
+    expect(summary.mean).to.be.closeTo(merged.mean, 1e-9)
+    expect(summary.variance).to.be.closeTo(merged.variance, 1e-9)
+  })
+
+  it('should count entries only where they start', function () {
+    expect(summarize(PineTreeNS.CountSummary, ENTRIES).count).to.equal(2)
+  })
+
+  it('should not have values without data', function () {
+    expect(new PineTreeNS.SumSummary().value).to.equal(null)
+    expect(new PineTreeNS.MinMaxSummary().value).to.equal(null)
+    expect(summarize(PineTreeNS.SumSummary,
+      [createEntry(0, 10, NaN)]).value).to.equal(null)
+  })
+
+  it('should be extracted from plain data', function () {
+    let entry = createEntry(0, 100)
+    entry.data = { validCount: 10, sum: 5 }
+    let summary = PineTreeNS.MeanSummary.extract(entry)
+    expect(summary).to.be.an.instanceof(PineTreeNS.MeanSummary)
+    expect(summary.mean).to.equal(0.5)
+    entry.data = { validCount: 10 }
+    expect(PineTreeNS.MeanSummary.extract(entry)).to.equal(null)
+  })
+
+  describe('HistogramSummary', function () {
+    const DigitSummary = PineTreeNS.HistogramSummary.withBins(0, 10, 10)
+
+    it('should get quantiles from summaries merged across nodes',
+      function () {
+        let tree = new PineTreeNS.PineTree(
+          new ChromRegion({ chr: 'chr1', start: 0, end: 10000 }), {
+            _SummaryCtor: DigitSummary,
+            scalingFactor: 10,
+            leafScalingFactor: 100
+          })
+        let entries = []
+        for (let start = 0; start < 1000; start += 10) {
+          entries.push(createEntry(start, start + 10, start / 10 % 10))
+        }
+        tree.insert(entries, new ChromRegion(
+          { chr: 'chr1', start: 0, end: 1000 }))
+        let summaries = []
+        tree.traverse(new ChromRegion({ chr: 'chr1', start: 0, end: 1000 }),
+          entry => summaries.push(entry), null, false, { resolution: 1000 })
+        expect(summaries).to.have.lengthOf(1)
+        expect(summaries[0].data.bins).to.deep.equal(
+          new Array(10).fill(100))
+        expect(DigitSummary.getQuantiles(summaries[0], [0, 0.25, 0.5, 1]))
+          .to.deep.equal([0, 2.5, 5, 9])
+        expect(DigitSummary.getQuantiles(createEntry(0, 10, 1), [0.5]))
+          .to.equal(null)
+      })
+
+    it('should count values out of the bins in the first or the last bin',
+      function () {
+        let summary = summarize(DigitSummary,
+          [createEntry(0, 10, -5), createEntry(10, 30, 50)])
+        expect([summary.bins[0], summary.bins[9]]).to.deep.equal([10, 20])
+        expect(summary.quantiles([0, 1])).to.deep.equal([-5, 50])
+      })
+
+    it('should reject invalid bins', function () {
+      expect(() => PineTreeNS.HistogramSummary.withBins(10, 0, 10))
+        .to.throw(/Invalid bins/)
+    })
+  })
+
+  describe('CompositeSummary', function () {
+    const StrandSummary = PineTreeNS.CompositeSummary.withFields({
+      plus: PineTreeNS.SumSummary,
+      minus: PineTreeNS.SumSummary,
+      ratio: PineTreeNS.MeanSummary
+    }, {
+      ratio: entry => entry.data.methylated / entry.data.plus
+    })
+
+    function createStrandEntry (start, end, plus, minus, methylated) {
+      let entry = new ChromRegion({ chr: 'chr1', start: start, end: end })
+      entry.data = { plus: plus, minus: minus, methylated: methylated }
+      return entry
+    }
+
+    it('should merge every field independently across nodes', function () {
+      let tree = new PineTreeNS.PineTree(
+        new ChromRegion({ chr: 'chr1', start: 0, end: 10000 }), {
+          _SummaryCtor: StrandSummary,
+          scalingFactor: 10,
+          leafScalingFactor: 100
+        })
+      tree.insert([
+        createStrandEntry(0, 50, 4, 2, 1),
+        createStrandEntry(150, 200, 2, undefined, 2),
+        createStrandEntry(500, 600, 1, { value: 3 }, 0)
+      ], new ChromRegion({ chr: 'chr1', start: 0, end: 1000 }))
+      let summaries = []
+      tree.traverse(new ChromRegion({ chr: 'chr1', start: 0, end: 1000 }),
+        entry => summaries.push(entry), null, false, { resolution: 1000 })
+      expect(summaries).to.have.lengthOf(1)
+      let plus = StrandSummary.getField(summaries[0], 'plus')
+      let minus = StrandSummary.getField(summaries[0], 'minus')
+      let ratio = StrandSummary.getField(summaries[0], 'ratio')
+      expect([plus.validCount, plus.sum]).to.deep.equal([200, 400])
+      // `minus` is missing from the second entry
+      expect([minus.validCount, minus.sum]).to.deep.equal([150, 400])
+      expect(ratio.mean).to.equal((0.25 * 50 + 1 * 50) / 200)
+      expect(StrandSummary.getField(summaries[0], 'unknown')).to.equal(null)
+    })
+
+    it('should be extracted from plain data', function () {
+      let entry = new ChromRegion({ chr: 'chr1', start: 0, end: 100 })
+      entry.data = JSON.parse(JSON.stringify(
+        summarize(StrandSummary, [createStrandEntry(0, 100, 1, 2, 1)])))
+      let summary = StrandSummary.extract(entry)
+      expect(summary).to.be.an.instanceof(StrandSummary)
+      expect(summary.getField('minus').sum).to.equal(200)
+    })
+
+    it('should reject fields without summary constructors', function () {
+      expect(() => PineTreeNS.CompositeSummary.withFields({ plus: null }))
+        .to.throw(/field `plus`/)
+    })
+  })
+})